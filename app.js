@@ -1,284 +1,893 @@
-class MovieLensApp {
+class MovieLensApp extends RecommenderPipeline {
     constructor() {
-        this.interactions = [];
-        this.items = new Map();
-        this.userMap = new Map();
-        this.itemMap = new Map();
-        this.reverseUserMap = new Map();
-        this.reverseItemMap = new Map();
-        this.userTopRated = new Map();
-        this.genreMap = new Map();
-        this.genreList = [];
-        
-        this.basicModel = null;
-        this.deepModel = null;
-        
-        this.config = {
-            maxInteractions: 80000,
-            embeddingDim: 32,
-            batchSize: 512,
-            epochs: 20,
-            learningRate: 0.001
-        };
+        super();
+        this.timeWindowResults = null;
         
-        this.basicLossHistory = [];
-        this.deepLossHistory = [];
+        // Per model key: batch losses, and per-epoch validation loss placed at the batch count it was measured after
+        this.lossHistory = MovieLensApp.emptyLossHistory();
         this.isTraining = false;
+        this.trainingWorker = null;
+        this.trainingControl = null;
+        this.lossChartFrame = null;
+        
+        this.embeddingVisualizer = null;
+        this.similarSourceItemId = null; // movie whose neighbours are shown in "More Like This"
+        
+        // Training runs, persisted across reloads
+        this.experiments = new ExperimentLog();
+        this.experimentSort = { key: 'startedAt', ascending: false };
+        this.currentExperimentId = null; // run that produced the models in memory
+        this.trainingStartedAt = null;
+        this.lastEpochLosses = null;
+        
+        // Ratings from the in-page "new user" session: itemId -> rating
+        this.coldStartRatings = new Map();
         
         this.initializeUI();
     }
     
+    static emptyLossHistory() {
+        return Object.fromEntries(RecommenderPipeline.MODELS.map(({ key }) => [key, { train: [], validation: [] }]));
+    }
+    
     initializeUI() {
         document.getElementById('loadData').addEventListener('click', () => this.loadData());
         document.getElementById('train').addEventListener('click', () => this.train());
+        document.getElementById('pauseTraining').addEventListener('click', () => this.togglePauseTraining());
+        document.getElementById('cancelTraining').addEventListener('click', () => this.cancelTraining());
         document.getElementById('test').addEventListener('click', () => this.test());
+        document.getElementById('evaluate').addEventListener('click', () => this.evaluate());
+        document.getElementById('saveModels').addEventListener('click', () => this.saveModels());
+        document.getElementById('loadModels').addEventListener('click', () => this.loadModels());
+        document.getElementById('downloadModels').addEventListener('click', () => this.downloadModels());
+        document.getElementById('embeddingModel').addEventListener('change', () => this.visualizeEmbeddings());
+        document.getElementById('timeWindowMetric').addEventListener('change', () => this.renderTimeWindowChart());
+        document.getElementById('retrievalIndex').addEventListener('change', (event) => {
+            this.config.retrieval.index = event.target.value;
+            if (this.models.size > 0) this.buildRetrievalIndexes();
+        });
+        document.getElementById('compareIndexes').addEventListener('click', () => this.compareIndexes());
+        document.getElementById('csvFile').addEventListener('change', () => this.readCsvHeader());
+        document.getElementById('csvDelimiter').addEventListener('change', () => this.readCsvHeader());
+        document.getElementById('loadCsv').addEventListener('click', () => this.loadCsvData());
+        document.getElementById('movieSearch').addEventListener('input', (event) => this.searchMovies(event.target.value));
+        document.getElementById('movieSearchResults').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-item-id]');
+            if (!button) return;
+            const rating = button.parentElement.querySelector('select').value;
+            this.rateMovie(parseInt(button.dataset.itemId), parseFloat(rating));
+        });
+        document.getElementById('ratedMovies').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-item-id]');
+            if (button) this.removeRating(parseInt(button.dataset.itemId));
+        });
+        document.getElementById('coldStartRecommend').addEventListener('click', () => this.recommendForNewUser());
+        document.getElementById('similarSearch').addEventListener('input', (event) => this.searchSimilarSources(event.target.value));
+        document.getElementById('similarSearchResults').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-item-id]');
+            if (button) this.showSimilarMovies(parseInt(button.dataset.itemId));
+        });
+        ['similarGenre', 'similarYearFrom', 'similarYearTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                if (this.similarSourceItemId !== null) this.showSimilarMovies(this.similarSourceItemId);
+            });
+        });
+        document.getElementById('uploadModels').addEventListener('change', (event) => {
+            this.uploadModels(event.target.files);
+            event.target.value = '';
+        });
+        document.getElementById('experimentsTable').addEventListener('click', (event) => {
+            const header = event.target.closest('th[data-key]');
+            if (header) this.sortExperiments(header.dataset.key);
+        });
+        document.getElementById('exportExperimentsCsv').addEventListener('click', () => {
+            ModelIO.downloadBlob('experiments.csv', new Blob([this.experiments.toCSV()], { type: 'text/csv' }));
+        });
+        document.getElementById('exportExperimentsJson').addEventListener('click', () => {
+            ModelIO.downloadBlob('experiments.json', new Blob([this.experiments.toJSON()], { type: 'application/json' }));
+        });
+        document.getElementById('clearExperiments').addEventListener('click', () => {
+            this.experiments.clear();
+            this.currentExperimentId = null;
+            this.renderExperiments();
+        });
         
+        this.renderSettings();
+        this.renderExperiments();
         this.updateStatus('Click "Load Data" to start');
     }
     
-    async loadData() {
-        this.updateStatus('Loading data...');
+    // Fill the hyperparameter form from this.config
+    renderSettings() {
+        document.getElementById('settingMaxInteractions').value = this.config.maxInteractions;
+        document.getElementById('settingEmbeddingDim').value = this.config.embeddingDim;
+        document.getElementById('settingHiddenUnits').value = this.config.hiddenUnits.join(', ');
+        document.getElementById('settingMfRegularization').value = this.config.matrixFactorization.regularization;
+        document.getElementById('settingOptimizer').value = this.config.optimizer;
+        document.getElementById('settingLearningRate').value = this.config.learningRate;
+        document.getElementById('settingBatchSize').value = this.config.batchSize;
+        document.getElementById('settingEpochs').value = this.config.epochs;
+        document.getElementById('settingSplit').value = this.config.evaluation.split;
+        document.getElementById('settingDataset').value = this.config.dataset.format;
+        document.getElementById('settingDatasetUrl').value = this.config.dataset.baseUrl;
+        
+        const { validationFraction, earlyStopping, lrSchedule } = this.config.training;
+        document.getElementById('settingValidationFraction').value = validationFraction;
+        document.getElementById('settingEarlyStopping').value = earlyStopping.enabled ? earlyStopping.metric : 'off';
+        document.getElementById('settingPatience').value = earlyStopping.patience;
+        document.getElementById('settingLrSchedule').value = lrSchedule.type;
+        
+        const { diversity, popularityPenalty, maxPerGenre, yearFrom, yearTo, candidatePool } = this.config.reranking;
+        document.getElementById('rerankDiversity').value = diversity;
+        document.getElementById('rerankPopularityPenalty').value = popularityPenalty;
+        document.getElementById('rerankMaxPerGenre').value = maxPerGenre === null ? '' : maxPerGenre;
+        document.getElementById('rerankYearFrom').value = yearFrom === null ? '' : yearFrom;
+        document.getElementById('rerankYearTo').value = yearTo === null ? '' : yearTo;
+        document.getElementById('rerankCandidatePool').value = candidatePool;
+    }
+    
+    // Read the Re-ranking panel into this.config.reranking; returns false (and reports) on invalid input
+    applyRerankSettings() {
+        const readOptional = (id, label, { integer = true, min = 0, max = Infinity } = {}) => {
+            const text = document.getElementById(id).value.trim();
+            if (text === '') return null;
+            const value = Number(text);
+            if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+                throw new Error(`${label} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+            }
+            return value;
+        };
         
         try {
-            // Load interactions
-            const interactionsResponse = await fetch('data/u.data');
-            const interactionsText = await interactionsResponse.text();
-            const interactionsLines = interactionsText.trim().split('\n');
+            const settings = {
+                diversity: readOptional('rerankDiversity', 'Diversity', { integer: false, max: 1 }) || 0,
+                popularityPenalty: readOptional('rerankPopularityPenalty', 'Popularity penalty', { integer: false, max: 1 }) || 0,
+                excludeGenres: Array.from(document.getElementById('rerankExcludeGenres').selectedOptions, option => parseInt(option.value)),
+                maxPerGenre: readOptional('rerankMaxPerGenre', 'Max per genre', { min: 1 }),
+                yearFrom: readOptional('rerankYearFrom', 'Year from'),
+                yearTo: readOptional('rerankYearTo', 'Year to'),
+                candidatePool: readOptional('rerankCandidatePool', 'Candidate pool', { min: 1 }) || this.config.reranking.candidatePool
+            };
+            if (settings.yearFrom !== null && settings.yearTo !== null && settings.yearFrom > settings.yearTo) {
+                throw new Error(`year range ${settings.yearFrom}-${settings.yearTo} is empty`);
+            }
             
-            this.interactions = interactionsLines.slice(0, this.config.maxInteractions).map(line => {
-                const parts = line.split('\t');
-                // u.data format: user_id, item_id, rating, timestamp
-                const [userId, itemId, rating, timestamp] = parts;
-                return {
-                    userId: parseInt(userId),
-                    itemId: parseInt(itemId),
-                    rating: parseFloat(rating),
-                    timestamp: parseInt(timestamp)
-                };
-            });
+            Object.assign(this.config.reranking, settings);
+            return true;
+        } catch (error) {
+            this.updateStatus(`Invalid re-ranking settings: ${error.message}`);
+            return false;
+        }
+    }
+    
+    // Read the hyperparameter form into this.config; returns false (and reports) on invalid input.
+    // Data settings (max interactions, split) only change when the data is (re)loaded.
+    applySettings(includeDataSettings = false) {
+        const readNumber = (id, label, { integer = true, min = 1 } = {}) => {
+            const value = Number(document.getElementById(id).value);
+            if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+                throw new Error(`${label} must be ${integer ? 'an integer' : 'a number'} >= ${min}`);
+            }
+            return value;
+        };
+        
+        try {
+            const hiddenText = document.getElementById('settingHiddenUnits').value.trim();
+            const hiddenUnits = hiddenText ? hiddenText.split(',').map(text => Number(text.trim())) : [];
+            if (hiddenUnits.some(units => !Number.isInteger(units) || units < 1)) {
+                throw new Error('Hidden units must be a comma-separated list of positive integers');
+            }
             
-            // Load items and genres
-            const itemsResponse = await fetch('data/u.item');
-            const itemsText = await itemsResponse.text();
-            const itemsLines = itemsText.trim().split('\n');
+            const settings = {
+                embeddingDim: readNumber('settingEmbeddingDim', 'Embedding dim'),
+                hiddenUnits,
+                optimizer: document.getElementById('settingOptimizer').value,
+                learningRate: readNumber('settingLearningRate', 'Learning rate', { integer: false, min: 1e-8 }),
+                batchSize: readNumber('settingBatchSize', 'Batch size'),
+                epochs: readNumber('settingEpochs', 'Epochs')
+            };
+            const validationFraction = readNumber('settingValidationFraction', 'Validation fraction', { integer: false, min: 0 });
+            if (validationFraction > 0.5) {
+                throw new Error('Validation fraction must be at most 0.5');
+            }
+            const stoppingMetric = document.getElementById('settingEarlyStopping').value;
+            if (stoppingMetric.startsWith('val_') && validationFraction === 0) {
+                throw new Error('Early stopping on a validation metric needs a validation fraction above 0');
+            }
+            const patience = readNumber('settingPatience', 'Patience');
+            const mfRegularization = readNumber('settingMfRegularization', 'MF regularization', { integer: false, min: 0 });
             
-            // Parse genre list (last 19 fields in u.item)
-            this.genreList = [
-                "Unknown", "Action", "Adventure", "Animation", "Children's", 
-                "Comedy", "Crime", "Documentary", "Drama", "Fantasy",
-                "Film-Noir", "Horror", "Musical", "Mystery", "Romance",
-                "Sci-Fi", "Thriller", "War", "Western"
-            ];
+            if (includeDataSettings) {
+                settings.maxInteractions = readNumber('settingMaxInteractions', 'Max interactions');
+                this.config.evaluation.split = document.getElementById('settingSplit').value;
+                this.config.dataset.format = document.getElementById('settingDataset').value;
+                this.config.dataset.baseUrl = document.getElementById('settingDatasetUrl').value.trim();
+            }
             
-            itemsLines.forEach(line => {
-                const parts = line.split('|');
-                if (parts.length < 5) return; // Skip invalid lines
-                
-                const itemId = parseInt(parts[0]);
-                let title = parts[1] || '';
-                let year = null;
-                
-                // Extract year from title - handle various title formats
-                if (title) {
-                    const yearMatch = title.match(/\((\d{4})\)/);
-                    if (yearMatch) {
-                        year = parseInt(yearMatch[1]);
-                        // Clean title by removing the year
-                        title = title.replace(/\(\d{4}\)/, '').trim();
-                    }
+            Object.assign(this.config, settings);
+            const { training } = this.config;
+            training.validationFraction = validationFraction;
+            training.earlyStopping.enabled = stoppingMetric !== 'off';
+            if (training.earlyStopping.enabled) training.earlyStopping.metric = stoppingMetric;
+            training.earlyStopping.patience = patience;
+            training.lrSchedule.type = document.getElementById('settingLrSchedule').value;
+            this.config.matrixFactorization.regularization = mfRegularization;
+            return true;
+        } catch (error) {
+            this.updateStatus(`Invalid hyperparameters: ${error.message}`);
+            return false;
+        }
+    }
+    
+    async loadData() {
+        if (!this.canLoadDataset()) return;
+        if (!this.applySettings(true)) return;
+        this.updateStatus('Loading data...');
+        
+        try {
+            const { format, baseUrl } = this.config.dataset;
+            const loader = createDatasetLoader(format, name => this.openDatasetFile(baseUrl + name), {
+                onProgress: progress => this.reportLoadProgress(progress)
+            });
+            this.prepareDataset(await loader.load(), format);
+        } catch (error) {
+            this.updateStatus(`Error loading data: ${error.message}`);
+            console.error('Detailed error:', error);
+        }
+    }
+    
+    // Interactions from the user's own CSV file, with the columns chosen in the mapping form
+    async loadCsvData() {
+        const file = document.getElementById('csvFile').files[0];
+        if (!file) {
+            this.updateStatus('Choose a CSV file first.');
+            return;
+        }
+        if (!this.canLoadDataset()) return;
+        if (!this.applySettings(true)) return;
+        this.updateStatus(`Loading ${file.name}...`);
+        
+        try {
+            const loader = createDatasetLoader('csv', async () => ({ stream: file.stream(), size: file.size }), {
+                file: file.name,
+                onProgress: progress => this.reportLoadProgress(progress),
+                delimiter: this.getCsvDelimiter(),
+                columns: {
+                    user: document.getElementById('csvUserColumn').value,
+                    item: document.getElementById('csvItemColumn').value,
+                    rating: document.getElementById('csvRatingColumn').value,
+                    timestamp: document.getElementById('csvTimestampColumn').value
                 }
-                
-                // Parse genre flags (last 19 fields)
-                // u.item format: movie id | movie title | release date | video release date | IMDb URL | genre1|genre2|...|genre19
-                const genreFlags = parts.slice(5, 24).map(flag => {
-                    const num = parseInt(flag);
-                    return isNaN(num) ? 0 : num;
-                });
-                
-                // Ensure we have exactly 19 genre flags
-                const paddedGenres = Array(19).fill(0);
-                genreFlags.forEach((flag, index) => {
-                    if (index < 19) paddedGenres[index] = flag;
-                });
-                
-                this.items.set(itemId, {
-                    title: title,
-                    year: year,
-                    genres: paddedGenres
-                });
-                
-                // Store genre mapping for quick access
-                this.genreMap.set(itemId, paddedGenres);
             });
-            
-            // Create mappings and find users with sufficient ratings
-            this.createMappings();
-            this.findQualifiedUsers();
-            
-            this.updateStatus(`Loaded ${this.interactions.length} interactions and ${this.items.size} items. ${this.qualifiedUsers.length} users have 20+ ratings. ${this.genreList.length} genres detected.`);
-            
-            document.getElementById('train').disabled = false;
-            
+            this.prepareDataset(await loader.load(), file.name);
         } catch (error) {
             this.updateStatus(`Error loading data: ${error.message}`);
             console.error('Detailed error:', error);
         }
     }
     
-    createMappings() {
-        // Create user and item mappings to 0-based indices
-        const userSet = new Set(this.interactions.map(i => i.userId));
-        const itemSet = new Set(this.interactions.map(i => i.itemId));
+    // Fill the CSV column selects from the chosen file's header row
+    async readCsvHeader() {
+        const file = document.getElementById('csvFile').files[0];
+        if (!file) return;
         
-        Array.from(userSet).forEach((userId, index) => {
-            this.userMap.set(userId, index);
-            this.reverseUserMap.set(index, userId);
-        });
+        let delimiter;
+        try {
+            delimiter = this.getCsvDelimiter();
+        } catch (error) {
+            this.updateStatus(error.message);
+            document.getElementById('loadCsv').disabled = true;
+            return;
+        }
         
-        Array.from(itemSet).forEach((itemId, index) => {
-            this.itemMap.set(itemId, index);
-            this.reverseItemMap.set(index, itemId);
-        });
+        const header = CsvInteractionsLoader.readHeader(await file.slice(0, 64 * 1024).text(), delimiter);
+        const guess = (patterns) => header.find(name => patterns.some(pattern => pattern.test(name))) || '';
+        const roles = {
+            csvUserColumn: { required: true, guess: guess([/^user/i, /customer/i]) },
+            csvItemColumn: { required: true, guess: guess([/^(item|movie|product)/i]) },
+            csvRatingColumn: { required: false, guess: guess([/rating|score/i]) },
+            csvTimestampColumn: { required: false, guess: guess([/time|date/i]) }
+        };
         
-        // Group interactions by user and find top rated movies
-        const userInteractions = new Map();
-        this.interactions.forEach(interaction => {
-            const userId = interaction.userId;
-            if (!userInteractions.has(userId)) {
-                userInteractions.set(userId, []);
-            }
-            userInteractions.get(userId).push(interaction);
+        Object.entries(roles).forEach(([id, { required, guess: selected }]) => {
+            const options = header.map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`);
+            if (!required) options.unshift('<option value="">(none)</option>');
+            const select = document.getElementById(id);
+            select.innerHTML = options.join('');
+            select.value = selected;
         });
+        document.getElementById('loadCsv').disabled = false;
+    }
+    
+    // Single delimiter character; "\t" can be typed for tab-separated files
+    getCsvDelimiter() {
+        const value = document.getElementById('csvDelimiter').value;
+        if (value === '\\t') return '\t';
+        if (value.length > 1) {
+            throw new Error(`Delimiter must be a single character, got "${value}"`);
+        }
+        return value || ',';
+    }
+    
+    // Byte stream of a dataset file, or null when the server has no such file
+    async openDatasetFile(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new Error(`Could not fetch ${url} (${error.message}); serve the page over HTTP`);
+        }
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`Could not fetch ${url}: HTTP ${response.status}`);
+        }
+        const length = Number(response.headers.get('content-length'));
+        return { stream: response.body, size: length > 0 ? length : null };
+    }
+    
+    reportLoadProgress({ file, bytesRead, totalBytes, lines }) {
+        // Content-Length counts compressed bytes when the server gzips, so cap at 100%
+        const amount = totalBytes
+            ? `${Math.min(100, Math.round(100 * bytesRead / totalBytes))}%`
+            : `${(bytesRead / 1e6).toFixed(1)} MB`;
+        this.updateStatus(`Reading ${file}: ${amount} (${lines.toLocaleString()} lines)...`);
+    }
+    
+    // A running training job would install models indexed by the replaced dataset's mappings
+    canLoadDataset() {
+        if (this.isTraining) {
+            this.updateStatus('Cancel training before loading another dataset.');
+            return false;
+        }
+        return true;
+    }
+    
+    // Prepare a loaded dataset and reset the parts of the page that refer to the previous one
+    prepareDataset(dataset, sourceName) {
+        try {
+            super.prepareDataset(dataset);
+        } finally {
+            // The previous models are disposed once the new data has been split, even when a
+            // later step fails: only leave the model controls on if models are still installed
+            this.setModelControlsEnabled(this.models.size > 0);
+        }
+        
+        // New-user ratings and the "More Like This" movie refer to the previous catalog
+        this.coldStartRatings.clear();
+        this.renderColdStartRatings();
+        this.similarSourceItemId = null;
+        document.getElementById('similarResults').innerHTML = '';
+        const genreOptions = this.genreList.map((genre, index) => `<option value="${index}">${this.escapeHtml(genre)}</option>`).join('');
+        document.getElementById('similarGenre').innerHTML = '<option value="">Any</option>' + genreOptions;
+        document.getElementById('rerankExcludeGenres').innerHTML = genreOptions;
+        this.config.reranking.excludeGenres = [];
+        
+        // The previous models were disposed with the old mappings: train or load again
+        document.getElementById('retrievalInfo').textContent = '';
+        document.getElementById('embeddingInfo').textContent = '';
+        if (this.embeddingVisualizer) this.embeddingVisualizer.render([]);
+        
+        this.updateStatus(this.describeDataset(sourceName));
+        
+        document.getElementById('train').disabled = false;
+        document.getElementById('loadModels').disabled = false;
+        document.getElementById('uploadModels').disabled = false;
+    }
+    
+    // Train all models in a Web Worker, falling back to the main thread
+    // when workers are unavailable (e.g. the page is opened from file://)
+    train() {
+        if (this.isTraining) return;
+        if (!this.applySettings()) return;
+        
+        this.isTraining = true;
+        this.trainingStartedAt = performance.now();
+        this.lastEpochLosses = null;
+        document.getElementById('train').disabled = true;
+        this.lossHistory = MovieLensApp.emptyLossHistory();
+        this.updateLossChart();
+        
+        this.updateStatus('Preparing training data...');
+        const data = this.buildTrainingData();
+        this.setTrainingControlsEnabled(true);
+        
+        let worker = null;
+        try {
+            worker = new Worker('training-worker.js');
+        } catch (error) {
+            console.warn('Web Worker unavailable, training on the main thread:', error);
+        }
         
-        // Sort each user's interactions by rating (desc) and timestamp (desc)
-        userInteractions.forEach((interactions, userId) => {
-            interactions.sort((a, b) => {
-                if (b.rating !== a.rating) return b.rating - a.rating;
-                return b.timestamp - a.timestamp;
+        if (worker) {
+            this.trainingWorker = worker;
+            this.trainingControl = {
+                pause: () => worker.postMessage({ type: 'pause' }),
+                resume: () => worker.postMessage({ type: 'resume' }),
+                cancel: () => worker.postMessage({ type: 'cancel' })
+            };
+            worker.onmessage = (event) => this.handleTrainingMessage(event.data);
+            worker.onerror = (event) => {
+                event.preventDefault();
+                this.handleTrainingMessage({ type: 'error', message: event.message || 'Worker failed to start' });
+            };
+            
+            this.updateStatus('Starting training for all models in a background worker...');
+            worker.postMessage({
+                type: 'start',
+                data,
+                config: this.config,
+                reverseUserMap: this.reverseUserMap,
+                reverseItemMap: this.reverseItemMap
             });
-        });
+        } else {
+            this.trainOnMainThread(data);
+        }
+    }
+    
+    async trainOnMainThread(data) {
+        let models = [];
         
-        this.userTopRated = userInteractions;
+        try {
+            models = Trainer.createModels(data, this.config);
+            const trainer = new Trainer(models, data, this.config, {
+                onBatch: (progress) => this.handleTrainingMessage({ type: 'batch', ...progress }),
+                onEpoch: (progress) => this.handleTrainingMessage({ type: 'epoch', ...progress })
+            });
+            this.trainingControl = {
+                pause: () => trainer.pause(),
+                resume: () => trainer.resume(),
+                cancel: () => trainer.cancel()
+            };
+            
+            this.updateStatus('Starting training for all models...');
+            const result = await trainer.run();
+            
+            if (result.cancelled) {
+                models.forEach(({ model }) => model.dispose());
+                this.handleTrainingMessage({ type: 'cancelled' });
+                return;
+            }
+            
+            this.handleTrainingMessage({ type: 'done', models, bestEpochs: result.bestEpochs });
+        } catch (error) {
+            models.forEach(({ model }) => model.dispose());
+            this.handleTrainingMessage({ type: 'error', message: error.message });
+        }
     }
     
-    findQualifiedUsers() {
-        // Filter users with at least 20 ratings
-        const qualifiedUsers = [];
-        this.userTopRated.forEach((interactions, userId) => {
-            if (interactions.length >= 20) {
-                qualifiedUsers.push(userId);
+    handleTrainingMessage(message) {
+        switch (message.type) {
+            case 'batch': {
+                const { epoch, batch, numBatches, losses } = message;
+                // Early-stopped models no longer report batch losses
+                Object.entries(losses).forEach(([key, loss]) => this.lossHistory[key].train.push(loss));
+                this.scheduleLossChartUpdate();
+                
+                if (batch % 10 === 0) {
+                    this.updateStatus(`Epoch ${epoch + 1}/${this.config.epochs}, Batch ${batch}/${numBatches}, ${this.formatLosses(losses, 'Loss')}`);
+                }
+                break;
             }
+            case 'epoch': {
+                const { epoch, losses, validationLosses, validationRecall, learningRate, stopped } = message;
+                this.lastEpochLosses = { ...this.lastEpochLosses, ...losses };
+                Object.entries(validationLosses).forEach(([key, loss]) => {
+                    const history = this.lossHistory[key];
+                    history.validation.push({ position: history.train.length, loss });
+                });
+                this.scheduleLossChartUpdate();
+                
+                const parts = [
+                    `Epoch ${epoch + 1}/${this.config.epochs} completed (lr ${learningRate.toPrecision(3)}).`,
+                    this.formatLosses(losses, 'Avg Loss')
+                ];
+                if (Object.keys(validationLosses).length > 0) parts.push(this.formatLosses(validationLosses, 'Val Loss'));
+                if (Object.keys(validationRecall).length > 0) parts.push(this.formatLosses(validationRecall, 'Val Recall'));
+                if (stopped.length > 0) parts.push(`Early stopping: ${stopped.join(', ')}.`);
+                this.updateStatus(parts.join(' '));
+                break;
+            }
+            case 'done':
+                this.finishTraining();
+                try {
+                    if (message.bundles) {
+                        // Weights trained in the worker: rebuild the models here for inference
+                        this.installModels(message.bundles);
+                    } else {
+                        this.installTrainedModels(message.models);
+                    }
+                    this.recordExperiment();
+                    const restored = Object.entries(message.bestEpochs || {})
+                        .map(([key, epoch]) => `${key} from epoch ${epoch + 1}`);
+                    this.updateStatus(`Training completed!${restored.length ? ` Best weights restored (${restored.join(', ')}).` : ''} Click "Test" to compare recommendations.`);
+                } catch (error) {
+                    this.updateStatus(`Error loading trained weights: ${error.message}`);
+                    console.error('Detailed error:', error);
+                }
+                break;
+            case 'cancelled':
+                this.finishTraining();
+                this.updateStatus('Training cancelled. Previous models (if any) are kept.');
+                break;
+            case 'error':
+                this.finishTraining();
+                this.updateStatus(`Error during training: ${message.message}`);
+                break;
+        }
+    }
+    
+    // Log the run that just finished; evaluation metrics are attached later
+    recordExperiment() {
+        this.currentExperimentId = this.experiments.add({
+            config: this.config,
+            finalLosses: this.lastEpochLosses || {},
+            wallTimeMs: performance.now() - this.trainingStartedAt
         });
-        this.qualifiedUsers = qualifiedUsers;
+        this.renderExperiments();
     }
     
-    // ... rest of the methods remain the same ...
-    async train() {
-        if (this.isTraining) return;
+    sortExperiments(key) {
+        const { key: currentKey, ascending } = this.experimentSort;
+        this.experimentSort = { key, ascending: key === currentKey ? !ascending : false };
+        this.renderExperiments();
+    }
+    
+    renderExperiments() {
+        const container = document.getElementById('experimentsTable');
+        const { key, ascending } = this.experimentSort;
+        const rows = this.experiments.getRows(key, ascending);
         
-        this.isTraining = true;
-        document.getElementById('train').disabled = true;
-        this.basicLossHistory = [];
-        this.deepLossHistory = [];
+        if (rows.length === 0) {
+            container.innerHTML = '<p>No runs recorded yet.</p>';
+            return;
+        }
         
-        this.updateStatus('Initializing models...');
+        const format = value => {
+            if (value === null || value === undefined) return '-';
+            if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(4);
+            return this.escapeHtml(String(value));
+        };
+        const headers = ExperimentLog.COLUMNS.map(column => {
+            const arrow = column.key === key ? (ascending ? ' ▲' : ' ▼') : '';
+            return `<th data-key="${column.key}">${column.label}${arrow}</th>`;
+        }).join('');
+        const body = rows.map(({ run, values }) => `
+            <tr${run.id === this.currentExperimentId ? ' style="font-weight: bold;"' : ''}>
+                ${values.map(value => `<td>${format(value)}</td>`).join('')}
+            </tr>
+        `).join('');
         
-        // Initialize both models
-        this.basicModel = new BasicTwoTowerModel(
-            this.userMap.size,
-            this.itemMap.size,
-            this.config.embeddingDim
-        );
+        container.innerHTML = `
+            <table>
+                <thead><tr>${headers}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+    }
+    
+    finishTraining() {
+        if (this.trainingWorker) {
+            this.trainingWorker.terminate();
+            this.trainingWorker = null;
+        }
+        this.trainingControl = null;
+        this.isTraining = false;
+        this.setTrainingControlsEnabled(false);
+        document.getElementById('train').disabled = false;
+        this.updateLossChart();
+    }
+    
+    togglePauseTraining() {
+        if (!this.trainingControl) return;
         
-        this.deepModel = new DeepTwoTowerModel(
-            this.userMap.size,
-            this.itemMap.size,
-            this.config.embeddingDim,
-            this.genreList.length
-        );
+        const button = document.getElementById('pauseTraining');
+        if (button.dataset.paused === 'true') {
+            this.trainingControl.resume();
+            button.dataset.paused = 'false';
+            button.textContent = 'Pause';
+            this.updateStatus('Training resumed.');
+        } else {
+            this.trainingControl.pause();
+            button.dataset.paused = 'true';
+            button.textContent = 'Resume';
+            this.updateStatus('Training paused.');
+        }
+    }
+    
+    cancelTraining() {
+        if (!this.trainingControl) return;
+        this.updateStatus('Cancelling training...');
+        this.trainingControl.cancel();
+    }
+    
+    setTrainingControlsEnabled(enabled) {
+        const pauseButton = document.getElementById('pauseTraining');
+        pauseButton.disabled = !enabled;
+        pauseButton.dataset.paused = 'false';
+        pauseButton.textContent = 'Pause';
+        document.getElementById('cancelTraining').disabled = !enabled;
+    }
+    
+    // Redraw the loss chart at most once per animation frame
+    scheduleLossChartUpdate() {
+        if (this.lossChartFrame) return;
+        this.lossChartFrame = requestAnimationFrame(() => {
+            this.lossChartFrame = null;
+            this.updateLossChart();
+        });
+    }
+    
+    async saveModels() {
+        this.updateStatus('Saving models to browser storage...');
         
-        // Prepare training data
-        const userIndices = this.interactions.map(i => this.userMap.get(i.userId));
-        const itemIndices = this.interactions.map(i => this.itemMap.get(i.itemId));
+        try {
+            const context = this.getModelContext();
+            for (const { key, model } of this.getInstalledModels()) {
+                const bundle = await ModelIO.serialize(model, context);
+                await ModelIO.saveToIndexedDB(key, bundle);
+            }
+            this.updateStatus('Models saved to browser storage.');
+        } catch (error) {
+            this.updateStatus(`Error saving models: ${error.message}`);
+            console.error('Detailed error:', error);
+        }
+    }
+    
+    async loadModels() {
+        this.updateStatus('Loading models from browser storage...');
         
-        this.updateStatus('Starting training for both models...');
+        try {
+            const bundles = [];
+            for (const { key } of RecommenderPipeline.MODELS) {
+                const bundle = await ModelIO.loadFromIndexedDB(key);
+                if (bundle) bundles.push(bundle);
+            }
+            
+            if (bundles.length === 0) {
+                this.updateStatus('No saved models found in browser storage.');
+                return;
+            }
+            
+            this.installModels(bundles);
+        } catch (error) {
+            this.updateStatus(`Error loading models: ${error.message}`);
+            console.error('Detailed error:', error);
+        }
+    }
+    
+    async downloadModels() {
+        try {
+            const context = this.getModelContext();
+            for (const { key, model } of this.getInstalledModels()) {
+                const bundle = await ModelIO.serialize(model, context);
+                ModelIO.download(`${key}-two-tower`, bundle);
+            }
+        } catch (error) {
+            this.updateStatus(`Error downloading models: ${error.message}`);
+            console.error('Detailed error:', error);
+        }
+    }
+    
+    async uploadModels(files) {
+        if (!files || files.length === 0) return;
+        this.updateStatus('Reading uploaded models...');
         
-        // Training loop for both models
-        const numBatches = Math.ceil(userIndices.length / this.config.batchSize);
+        try {
+            const bundles = await ModelIO.readUploadedFiles(files);
+            this.installModels(bundles);
+        } catch (error) {
+            this.updateStatus(`Error loading models: ${error.message}`);
+            console.error('Detailed error:', error);
+        }
+    }
+    
+    // Rebuild models from bundles against the currently loaded dataset
+    installModels(bundles) {
+        const { keys, remapped } = super.installModels(bundles);
+        
+        const note = remapped ? ' Index mappings differed from the loaded dataset and were remapped by ID.' : '';
+        this.updateStatus(`Loaded ${keys.join(', ')} model(s).${note}`);
+    }
+    
+    // Replace the current models with newly trained or loaded ones
+    installTrainedModels(models) {
+        // Metrics are only attached to the run that trained these models (see recordExperiment)
+        this.currentExperimentId = null;
+        super.installTrainedModels(models);
+        
+        this.setModelControlsEnabled(this.models.size > 0);
+        this.visualizeEmbeddings();
+    }
+    
+    // Buttons and searches that need trained models
+    setModelControlsEnabled(enabled) {
+        ['test', 'evaluate', 'movieSearch', 'similarSearch', 'compareIndexes', 'saveModels', 'downloadModels'].forEach(id => {
+            document.getElementById(id).disabled = !enabled;
+        });
+    }
+    
+    buildRetrievalIndexes() {
+        const elapsed = super.buildRetrievalIndexes();
+        document.getElementById('retrievalInfo').textContent =
+            `${this.config.retrieval.index} index built in ${elapsed.toFixed(0)} ms`;
+        return elapsed;
+    }
+    
+    // Recall@K of each index type against exact search, and its build and query time,
+    // using sampled user embeddings as queries
+    async compareIndexes() {
+        const button = document.getElementById('compareIndexes');
+        button.disabled = true;
+        this.updateStatus('Comparing retrieval indexes...');
         
-        for (let epoch = 0; epoch < this.config.epochs; epoch++) {
-            let basicEpochLoss = 0;
-            let deepEpochLoss = 0;
+        try {
+            const { benchmarkQueries, ivf, hnsw } = this.config.retrieval;
+            const k = this.config.topK;
+            // Evenly spaced users as queries
+            const userIndices = Array.from(this.userMap.values());
+            const step = Math.max(1, Math.floor(userIndices.length / benchmarkQueries));
+            const sample = userIndices.filter((_, position) => position % step === 0).slice(0, benchmarkQueries);
             
-            for (let batch = 0; batch < numBatches; batch++) {
-                const start = batch * this.config.batchSize;
-                const end = Math.min(start + this.config.batchSize, userIndices.length);
-                
-                const batchUsers = userIndices.slice(start, end);
-                const batchItems = itemIndices.slice(start, end);
-                
-                // Get genre features for deep model
-                const batchGenreFeatures = batchItems.map(itemIdx => {
-                    const itemId = this.reverseItemMap.get(itemIdx);
-                    return this.genreMap.get(itemId) || Array(this.genreList.length).fill(0);
+            const rows = [];
+            for (const { label, model } of this.getInstalledModels()) {
+                const { vectors, dim } = this.getItemVectors(model);
+                const queries = sample.map(userIndex => {
+                    const embedding = model.getUserEmbedding(userIndex);
+                    const query = embedding.dataSync().slice();
+                    embedding.dispose();
+                    return query;
                 });
                 
-                // Train both models
-                const basicLoss = await this.basicModel.trainStep(batchUsers, batchItems);
-                const deepLoss = await this.deepModel.trainStep(batchUsers, batchItems, batchGenreFeatures);
-                
-                basicEpochLoss += basicLoss;
-                deepEpochLoss += deepLoss;
-                
-                this.basicLossHistory.push(basicLoss);
-                this.deepLossHistory.push(deepLoss);
-                this.updateLossChart();
-                
-                if (batch % 10 === 0) {
-                    this.updateStatus(`Epoch ${epoch + 1}/${this.config.epochs}, Batch ${batch}/${numBatches}, Basic Loss: ${basicLoss.toFixed(4)}, Deep Loss: ${deepLoss.toFixed(4)}`);
-                }
+                const results = compareRetrievalIndexes(vectors, dim, queries, k, [
+                    { name: 'Brute force (exact)', index: createRetrievalIndex('brute-force') },
+                    { name: `IVF (${ivf.numProbes} probes)`, index: createRetrievalIndex('ivf', ivf) },
+                    { name: `IVF (${ivf.numProbes * 2} probes)`, index: createRetrievalIndex('ivf', { ...ivf, numProbes: ivf.numProbes * 2 }) },
+                    { name: `HNSW (ef ${hnsw.efSearch})`, index: createRetrievalIndex('hnsw', hnsw) },
+                    { name: `HNSW (ef ${hnsw.efSearch * 2})`, index: createRetrievalIndex('hnsw', { ...hnsw, efSearch: hnsw.efSearch * 2 }) }
+                ]);
+                results.forEach(result => rows.push({ model: label, ...result }));
                 
                 // Allow UI to update
                 await new Promise(resolve => setTimeout(resolve, 0));
             }
             
-            basicEpochLoss /= numBatches;
-            deepEpochLoss /= numBatches;
-            this.updateStatus(`Epoch ${epoch + 1}/${this.config.epochs} completed. Basic Avg Loss: ${basicEpochLoss.toFixed(4)}, Deep Avg Loss: ${deepEpochLoss.toFixed(4)}`);
+            document.getElementById('retrievalComparison').innerHTML = `
+                <table>
+                    <thead>
+                        <tr><th>Model</th><th>Index</th><th>Recall@${k} vs exact</th><th>Build (ms)</th><th>Query (ms)</th></tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td>${row.model}</td>
+                                <td>${row.name}</td>
+                                <td>${row.recall.toFixed(4)}</td>
+                                <td>${row.buildMs.toFixed(1)}</td>
+                                <td>${row.queryMs.toFixed(3)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+            this.updateStatus(`Compared retrieval indexes on ${sample.length} users over ${this.itemMap.size} items.`);
+        } catch (error) {
+            this.updateStatus(`Error comparing retrieval indexes: ${error.message}`);
+            console.error('Detailed error:', error);
+        } finally {
+            button.disabled = false;
         }
+    }
+    
+    // Project item tower outputs of the selected model to 2-D with PCA
+    visualizeEmbeddings() {
+        const model = this.models.get(document.getElementById('embeddingModel').value);
+        if (!model) return;
         
-        this.isTraining = false;
-        document.getElementById('train').disabled = false;
-        document.getElementById('test').disabled = false;
-        
-        this.updateStatus('Training completed! Click "Test" to compare recommendations.');
+        if (!this.embeddingVisualizer) {
+            this.embeddingVisualizer = new EmbeddingVisualizer(
+                document.getElementById('embeddingChart'),
+                document.getElementById('embeddingTooltip')
+            );
+        }
         
-        // Visualize embeddings from basic model
-        this.visualizeEmbeddings();
+        try {
+            const { projection, explained } = EmbeddingVisualizer.pca(model.getItemTowerOutputs(), 2);
+            
+            const points = projection.map(([x, y], itemIndex) => {
+                const itemId = this.reverseItemMap.get(itemIndex);
+                const item = this.items.get(itemId);
+                const genreIndex = this.getDominantGenreIndex(itemId);
+                const title = item ? item.title : `Movie ${itemId}`;
+                const year = item && item.year ? ` (${item.year})` : '';
+                const genre = genreIndex >= 0 ? ` - ${this.genreList[genreIndex]}` : '';
+                
+                return {
+                    x,
+                    y,
+                    color: this.getGenreColor(genreIndex),
+                    label: `${title}${year}${genre}`
+                };
+            });
+            
+            this.embeddingVisualizer.render(points);
+            this.renderGenreLegend();
+            
+            const variance = explained.map(v => `${(v * 100).toFixed(1)}%`).join(' / ');
+            document.getElementById('embeddingInfo').textContent =
+                `${points.length} items, explained variance PC1 / PC2: ${variance}`;
+        } catch (error) {
+            this.updateStatus(`Error visualizing embeddings: ${error.message}`);
+            console.error('Detailed error:', error);
+        }
     }
-
+    
+    // First flagged genre, skipping "Unknown" when the item has a real genre
+    getDominantGenreIndex(itemId) {
+        const genres = this.genreMap.get(itemId) || [];
+        const flagged = genres.map((flag, index) => flag === 1 ? index : -1).filter(index => index >= 0);
+        const known = flagged.filter(index => this.genreList[index] !== 'Unknown');
+        return known.length > 0 ? known[0] : (flagged.length > 0 ? flagged[0] : -1);
+    }
+    
+    getGenreColor(genreIndex) {
+        if (genreIndex < 0) return '#999';
+        const hue = Math.round((genreIndex * 360) / this.genreList.length);
+        return `hsl(${hue}, 70%, 45%)`;
+    }
+    
+    renderGenreLegend() {
+        document.getElementById('embeddingLegend').innerHTML = this.genreList.map((genre, index) => `
+            <div class="legend-item">
+                <div class="color-box" style="background-color: ${this.getGenreColor(index)};"></div>
+                <span>${this.escapeHtml(genre)}</span>
+            </div>
+        `).join('');
+    }
+    
     updateLossChart() {
         const canvas = document.getElementById('lossChart');
         const ctx = canvas.getContext('2d');
         
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         
-        if (this.basicLossHistory.length === 0) return;
+        const histories = RecommenderPipeline.MODELS.map(({ key, color }) => ({ color, ...this.lossHistory[key] }));
+        if (histories.every(({ train }) => train.length === 0)) return;
         
-        const allLosses = [...this.basicLossHistory, ...this.deepLossHistory];
+        const allLosses = histories.flatMap(({ train, validation }) => [...train, ...validation.map(point => point.loss)]);
         const maxLoss = Math.max(...allLosses);
         const minLoss = Math.min(...allLosses);
         const range = maxLoss - minLoss || 1;
         
-        // Draw basic model loss
-        ctx.strokeStyle = '#007acc';
+        // Shared x axis in batches, so an early-stopped model's curve ends early
+        const numPositions = Math.max(...histories.map(({ train }) => train.length));
+        const toCanvas = (position, loss) => ({
+            x: (position / numPositions) * canvas.width,
+            y: canvas.height - ((loss - minLoss) / range) * canvas.height
+        });
+        
+        // Training loss per batch (solid), validation loss per epoch (dashed)
+        histories.forEach(({ color, train, validation }) => {
+            this.drawLossLine(ctx, train.map((loss, index) => toCanvas(index, loss)), color, false);
+            this.drawLossLine(ctx, validation.map(point => toCanvas(point.position, point.loss)), color, true);
+        });
+        
+        // Add labels
+        ctx.fillStyle = '#000';
+        ctx.font = '12px Arial';
+        ctx.fillText(`Min: ${minLoss.toFixed(4)}`, 10, canvas.height - 10);
+        ctx.fillText(`Max: ${maxLoss.toFixed(4)}`, 10, 20);
+    }
+    
+    drawLossLine(ctx, points, color, dashed) {
+        if (points.length === 0) return;
+        
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
         ctx.lineWidth = 2;
+        ctx.setLineDash(dashed ? [6, 4] : []);
         ctx.beginPath();
         
-        this.basicLossHistory.forEach((loss, index) => {
-            const x = (index / this.basicLossHistory.length) * canvas.width;
-            const y = canvas.height - ((loss - minLoss) / range) * canvas.height;
-            
+        points.forEach(({ x, y }, index) => {
             if (index === 0) {
                 ctx.moveTo(x, y);
             } else {
@@ -287,33 +896,487 @@ class MovieLensApp {
         });
         
         ctx.stroke();
+        ctx.setLineDash([]);
         
-        // Draw deep model loss
-        ctx.strokeStyle = '#28a745';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
+        // Mark each validation measurement
+        if (dashed) {
+            points.forEach(({ x, y }) => ctx.fillRect(x - 3, y - 3, 6, 6));
+        }
+    }
+    
+    async test() {
+        if (this.models.size === 0) {
+            this.updateStatus('Train the models before testing.');
+            return;
+        }
         
-        this.deepLossHistory.forEach((loss, index) => {
-            const x = (index / this.deepLossHistory.length) * canvas.width;
-            const y = canvas.height - ((loss - minLoss) / range) * canvas.height;
+        if (!this.qualifiedUsers || this.qualifiedUsers.length === 0) {
+            this.updateStatus('No users with enough ratings to test.');
+            return;
+        }
+        
+        if (!this.applyRerankSettings()) return;
+        this.updateStatus('Generating recommendations...');
+        
+        try {
+            // Pick a random user with 20+ ratings
+            const userId = this.qualifiedUsers[Math.floor(Math.random() * this.qualifiedUsers.length)];
+            const userIndex = this.userMap.get(userId);
+            const userInteractions = this.getUserRatings(userId);
             
-            if (index === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
+            // Movies the user has already rated are excluded from recommendations
+            const ratedItemIds = new Set(userInteractions.map(i => i.itemId));
+            const topRated = userInteractions.slice(0, this.config.topK);
+            
+            const columns = this.getInstalledModels().map(({ key, name }) => {
+                const recs = this.getRecommendations(key, userIndex, ratedItemIds, this.config.topK);
+                const explanations = this.explainRecommendations(key, userIndex, userInteractions, recs);
+                return { name, recs: recs.map((rec, index) => ({ ...rec, explanation: explanations[index] })) };
+            });
+            
+            this.displayResults(userId, topRated, columns);
+            
+            this.updateStatus(`Showing recommendations for user ${userId} (${userInteractions.length} ratings).`);
+        } catch (error) {
+            this.updateStatus(`Error generating recommendations: ${error.message}`);
+            console.error('Detailed error:', error);
+        }
+    }
+    
+    async evaluate() {
+        if (this.models.size === 0) {
+            this.updateStatus('Train the models before evaluating.');
+            return;
+        }
+        
+        if (this.testItemsByUser.size === 0) {
+            this.updateStatus('No held-out interactions to evaluate against.');
+            return;
+        }
+        
+        if (!this.applyRerankSettings()) return;
+        this.updateStatus(`Evaluating on ${this.testItemsByUser.size} users...`);
+        document.getElementById('evaluate').disabled = true;
+        
+        try {
+            const evaluator = this.createEvaluator();
+            const models = this.getEvaluationModels();
+            const results = await this.evaluateModels(evaluator, models);
+            
+            this.displayEvaluation(results);
+            
+            if (this.config.evaluation.split === 'temporal') {
+                this.updateStatus('Evaluating each time window of the test period...');
+                this.timeWindowResults = await this.evaluateTimeWindows(evaluator, models.filter(({ reranker }) => !reranker));
+                this.renderTimeWindowChart();
             }
-        });
+            
+            if (this.currentExperimentId) {
+                this.experiments.attachMetrics(
+                    this.currentExperimentId,
+                    Object.fromEntries(results.map(({ key, metrics }) => [key, metrics]))
+                );
+                this.renderExperiments();
+            }
+            this.updateStatus(`Evaluation completed on ${results[0].metrics.numUsers} users (${this.config.evaluation.split} split).`);
+        } catch (error) {
+            this.updateStatus(`Error during evaluation: ${error.message}`);
+            console.error('Detailed error:', error);
+        } finally {
+            document.getElementById('evaluate').disabled = false;
+        }
+    }
+    
+    renderTimeWindowChart() {
+        const container = document.getElementById('timeWindowContainer');
+        const canvas = document.getElementById('timeWindowChart');
+        const ctx = canvas.getContext('2d');
+        const windows = this.timeWindowResults;
         
-        ctx.stroke();
+        if (!windows || windows.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = '';
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
         
-        // Add labels
+        const metric = document.getElementById('timeWindowMetric').value;
+        const series = [
+            { key: 'popular', color: '#999' },
+            ...RecommenderPipeline.MODELS.map(({ key, color }) => ({ key, color }))
+        ];
+        const values = windows.flatMap(window => series
+            .map(({ key }) => window.metrics[key] && window.metrics[key][metric])
+            .filter(value => value !== null && value !== undefined));
+        const maxValue = Math.max(...values, 1e-6);
+        
+        const padding = { left: 50, right: 20, top: 20, bottom: 40 };
+        const width = canvas.width - padding.left - padding.right;
+        const height = canvas.height - padding.top - padding.bottom;
+        const xAt = index => padding.left + (windows.length > 1 ? (index / (windows.length - 1)) * width : width / 2);
+        const yAt = value => padding.top + height - (value / maxValue) * height;
+        
+        series.forEach(({ key, color }) => {
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            let started = false;
+            windows.forEach((window, index) => {
+                const value = window.metrics[key] && window.metrics[key][metric];
+                if (value === null || value === undefined) return;
+                const x = xAt(index);
+                const y = yAt(value);
+                if (!started) {
+                    ctx.moveTo(x, y);
+                    started = true;
+                } else {
+                    ctx.lineTo(x, y);
+                }
+                ctx.fillRect(x - 3, y - 3, 6, 6);
+            });
+            ctx.stroke();
+        });
+        
+        // Window start dates, interaction counts and value range
         ctx.fillStyle = '#000';
         ctx.font = '12px Arial';
-        ctx.fillText(`Min: ${minLoss.toFixed(4)}`, 10, canvas.height - 10);
-        ctx.fillText(`Max: ${maxLoss.toFixed(4)}`, 10, 20);
+        ctx.textAlign = 'center';
+        windows.forEach((window, index) => {
+            ctx.fillText(this.formatDate(window.start), xAt(index), canvas.height - 22);
+            ctx.fillText(`${window.numInteractions - window.numUnseen}/${window.numInteractions}`, xAt(index), canvas.height - 6);
+        });
+        ctx.textAlign = 'left';
+        ctx.fillText(maxValue.toFixed(3), 5, padding.top + 10);
+        ctx.fillText('0', 5, padding.top + height);
+    }
+    
+    displayEvaluation(results) {
+        const k = this.config.evaluation.k;
+        const rows = results.map(({ name, metrics }) => `
+            <tr>
+                <td>${name}</td>
+                <td>${metrics.recall.toFixed(4)}</td>
+                <td>${metrics.ndcg.toFixed(4)}</td>
+                <td>${metrics.mrr.toFixed(4)}</td>
+                <td>${metrics.hitRate.toFixed(4)}</td>
+                <td>${(metrics.coverage * 100).toFixed(1)}%</td>
+                <td>${metrics.avgPopularity.toFixed(1)}</td>
+                <td>${metrics.novelty.toFixed(2)}</td>
+                <td>${metrics.diversity === null ? '-' : metrics.diversity.toFixed(4)}</td>
+                <td>${metrics.rating ? metrics.rating.rmse.toFixed(4) : '-'}</td>
+                <td>${metrics.rating ? metrics.rating.mae.toFixed(4) : '-'}</td>
+            </tr>
+        `).join('');
+        
+        document.getElementById('evaluationResults').innerHTML = `
+            <h2>Offline Evaluation (${this.config.evaluation.split} split, ${this.config.ratings.objective} objective)</h2>
+            ${this.unseenTest.interactions > 0 ? `<p>${this.unseenTest.interactions} held-out interactions involve users (${this.unseenTest.users.size}) or items (${this.unseenTest.items.size}) not seen in training and are excluded from these metrics.</p>` : ''}
+            <table>
+                <thead>
+                    <tr>
+                        <th>Model</th><th>Recall@${k}</th><th>NDCG@${k}</th><th>MRR@${k}</th>
+                        <th>Hit Rate@${k}</th><th>Catalog Coverage</th><th>Avg. Rec. Popularity</th>
+                        <th>Novelty (bits)</th><th>Intra-list Diversity (genres)</th>
+                        <th>RMSE</th><th>MAE</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+    
+    // Titles matching the query that the models can score
+    searchMovies(query) {
+        const resultsDiv = document.getElementById('movieSearchResults');
+        const text = query.trim().toLowerCase();
+        if (text.length < 2) {
+            resultsDiv.innerHTML = '';
+            return;
+        }
+        
+        const matches = this.findTitles(text, itemId => !this.coldStartRatings.has(itemId));
+        resultsDiv.innerHTML = matches.map(itemId => {
+            const item = this.items.get(itemId);
+            const year = item.year ? ` (${item.year})` : '';
+            return `
+                <div class="search-result">
+                    <span>${this.escapeHtml(item.title)}${year}</span>
+                    <select>
+                        ${[5, 4, 3, 2, 1].map(stars => `<option value="${stars}">${stars} ★</option>`).join('')}
+                    </select>
+                    <button data-item-id="${itemId}">Rate</button>
+                </div>
+            `;
+        }).join('') || '<p>No matching movies.</p>';
+    }
+    
+    // Up to limit item IDs the models know whose lower-cased title contains text
+    findTitles(text, accept = null, limit = 10) {
+        const matches = [];
+        for (const [itemId, item] of this.items) {
+            if (!this.itemMap.has(itemId) || (accept && !accept(itemId))) continue;
+            if (item.title.toLowerCase().includes(text)) matches.push(itemId);
+            if (matches.length >= limit) break;
+        }
+        return matches;
+    }
+    
+    rateMovie(itemId, rating) {
+        this.coldStartRatings.set(itemId, rating);
+        this.renderColdStartRatings();
+        this.searchMovies(document.getElementById('movieSearch').value);
+    }
+    
+    removeRating(itemId) {
+        this.coldStartRatings.delete(itemId);
+        this.renderColdStartRatings();
+    }
+    
+    renderColdStartRatings() {
+        const ratedDiv = document.getElementById('ratedMovies');
+        ratedDiv.innerHTML = Array.from(this.coldStartRatings, ([itemId, rating]) => {
+            const item = this.items.get(itemId);
+            return `
+                <div class="search-result">
+                    <span>${this.escapeHtml(item.title)} - ${rating} ★</span>
+                    <button data-item-id="${itemId}">Remove</button>
+                </div>
+            `;
+        }).join('');
+        
+        document.getElementById('coldStartRecommend').disabled = this.coldStartRatings.size === 0;
+    }
+    
+    // Fold the session's ratings into each model's item space and rank without retraining
+    recommendForNewUser() {
+        if (this.models.size === 0 || this.coldStartRatings.size === 0) return;
+        if (!this.applyRerankSettings()) return;
+        
+        try {
+            const ratings = Array.from(this.coldStartRatings, ([itemId, rating]) => ({
+                itemIndex: this.itemMap.get(itemId),
+                rating
+            }));
+            const options = { method: document.getElementById('foldInMethod').value };
+            const ratedItemIds = new Set(this.coldStartRatings.keys());
+            
+            const columns = this.getInstalledModels().map(({ key, name, model }) => {
+                const userVector = ColdStartRecommender.foldIn(model.getItemTowerOutputs(), ratings, options);
+                const recs = this.searchItems(key, userVector, ratedItemIds, this.config.topK);
+                const rows = recs.map((rec, index) => this.renderMovieRow(index + 1, rec.itemId, rec.score.toFixed(4))).join('');
+                return `
+                    <div>
+                        <h3>${name} Recommendations</h3>
+                        ${this.renderMovieTable('Score', rows)}
+                    </div>
+                `;
+            });
+            
+            document.getElementById('coldStartResults').innerHTML = `
+                <div class="three-columns">${columns.join('')}</div>
+            `;
+            
+            this.updateStatus(`Recommendations for a new user from ${ratings.length} rating(s).`);
+        } catch (error) {
+            this.updateStatus(`Error generating new-user recommendations: ${error.message}`);
+            console.error('Detailed error:', error);
+        }
+    }
+    
+    // Candidate movies for "More Like This"
+    searchSimilarSources(query) {
+        const resultsDiv = document.getElementById('similarSearchResults');
+        const text = query.trim().toLowerCase();
+        if (text.length < 2) {
+            resultsDiv.innerHTML = '';
+            return;
+        }
+        
+        resultsDiv.innerHTML = this.findTitles(text).map(itemId => {
+            const item = this.items.get(itemId);
+            const year = item.year ? ` (${item.year})` : '';
+            return `
+                <div class="search-result">
+                    <span>${this.escapeHtml(item.title)}${year}</span>
+                    <button data-item-id="${itemId}">Show Similar</button>
+                </div>
+            `;
+        }).join('') || '<p>No matching movies.</p>';
+    }
+    
+    // Candidate filter (item index → boolean) from the genre and year range inputs
+    getSimilarityFilter() {
+        const genreValue = document.getElementById('similarGenre').value;
+        const yearFromValue = document.getElementById('similarYearFrom').value;
+        const yearToValue = document.getElementById('similarYearTo').value;
+        const genreIndex = genreValue === '' ? null : parseInt(genreValue);
+        const yearFrom = yearFromValue === '' ? null : parseInt(yearFromValue);
+        const yearTo = yearToValue === '' ? null : parseInt(yearToValue);
+        if (yearFrom !== null && yearTo !== null && yearFrom > yearTo) {
+            throw new Error(`year range ${yearFrom}-${yearTo} is empty`);
+        }
+        if (genreIndex === null && yearFrom === null && yearTo === null) return null;
+        
+        return index => {
+            const itemId = this.reverseItemMap.get(index);
+            if (genreIndex !== null && (this.genreMap.get(itemId) || [])[genreIndex] !== 1) return false;
+            if (yearFrom === null && yearTo === null) return true;
+            // Movies without a known year cannot satisfy a year range
+            const item = this.items.get(itemId);
+            const year = item ? item.year : null;
+            if (year === null) return false;
+            return (yearFrom === null || year >= yearFrom) && (yearTo === null || year <= yearTo);
+        };
+    }
+    
+    // Nearest neighbours of one movie in each model's item space
+    showSimilarMovies(itemId) {
+        if (this.models.size === 0 || !this.itemMap.has(itemId)) return;
+        this.similarSourceItemId = itemId;
+        
+        try {
+            const itemIndex = this.itemMap.get(itemId);
+            const accept = this.getSimilarityFilter();
+            const columns = this.getInstalledModels().map(({ key, name, itemSpace }) => {
+                const rows = this.getSimilarItemFinder(key).similarTo(itemIndex, this.config.topK, accept)
+                    .map(({ index, similarity }, rank) => this.renderMovieRow(rank + 1, this.reverseItemMap.get(index), similarity.toFixed(4)))
+                    .join('');
+                return `
+                    <div>
+                        <h3>${name} (${itemSpace})</h3>
+                        ${this.renderMovieTable('Similarity', rows)}
+                    </div>
+                `;
+            });
+            
+            document.getElementById('similarResults').innerHTML = `
+                <h4>Because you liked ${this.escapeHtml(this.getTitle(itemId))}</h4>
+                <div class="three-columns">${columns.join('')}</div>
+            `;
+        } catch (error) {
+            this.updateStatus(`Error finding similar movies: ${error.message}`);
+            console.error('Detailed error:', error);
+        }
+    }
+    
+    // Expandable "why" details (HTML) for each of a user's recommendations from one model:
+    // contributing rated movies, shared genres and, for the deep model, the split of
+    // the score over the item tower inputs
+    explainRecommendations(key, userIndex, userInteractions, recs) {
+        const model = this.models.get(key);
+        const { vectors, dim } = this.getItemVectors(model);
+        const rated = userInteractions.map(({ itemId, rating }) => ({ itemIndex: this.itemMap.get(itemId), rating }));
+        const ratedGenres = userInteractions.map(({ itemId, rating }) => ({ genres: this.genreMap.get(itemId) || [], rating }));
+        const options = { likedRating: this.config.ratings.threshold };
+        const featureGroups = model.explainItemScore ? this.itemFeatureGroups : null;
+        const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(3)}`;
+        
+        return recs.map(({ itemId }) => {
+            const itemIndex = this.itemMap.get(itemId);
+            const reasons = [];
+            
+            const contributions = RecommendationExplainer.ratedItemContributions(vectors, dim, itemIndex, rated, options);
+            reasons.push(contributions.length > 0
+                ? `Because you rated ${contributions.map(({ itemIndex: ratedIndex, rating, contribution }) =>
+                    `${this.escapeHtml(this.getTitle(this.reverseItemMap.get(ratedIndex)))} (${rating} ★, ${signed(contribution)})`
+                ).join(', ')}`
+                : 'None of your rated movies pulls this score up.');
+            
+            const genres = RecommendationExplainer.sharedGenres(this.genreMap.get(itemId) || [], ratedGenres, options);
+            if (genres.length > 0) {
+                reasons.push(`Shared genres: ${genres.map(({ genreIndex, count }) =>
+                    `${this.escapeHtml(this.genreList[genreIndex])} (${count} liked movie${count === 1 ? '' : 's'})`
+                ).join(', ')}`);
+            }
+            
+            if (featureGroups) {
+                const { score, parts } = RecommendationExplainer.inputAttribution(model, userIndex, itemIndex, featureGroups);
+                reasons.push(`Score ${score.toFixed(3)} by item tower input (gradient × input): ${parts.map(({ name, value }) =>
+                    `${this.escapeHtml(name)} ${signed(value)}`
+                ).join(', ')}`);
+            }
+            
+            return `
+                <details>
+                    <summary>Why this movie?</summary>
+                    <ul>${reasons.map(reason => `<li>${reason}</li>`).join('')}</ul>
+                </details>
+            `;
+        });
+    }
+    
+    // columns: [{ name, recs }] per model, recs as from getRecommendations plus an explanation
+    displayResults(userId, topRated, columns) {
+        const resultsDiv = document.getElementById('results');
+        
+        const ratedRows = topRated.map((interaction, index) => {
+            return this.renderMovieRow(index + 1, interaction.itemId, `${interaction.rating} ★`);
+        }).join('');
+        
+        const modelColumns = columns.map(({ name, recs }) => {
+            const rows = recs.map((rec, index) => {
+                return this.renderMovieRow(index + 1, rec.itemId, rec.score.toFixed(4), rec.explanation);
+            }).join('');
+            return `
+                <div>
+                    <h3>${name} Recommendations</h3>
+                    ${this.renderMovieTable('Score', rows)}
+                </div>
+            `;
+        }).join('');
+        
+        resultsDiv.innerHTML = `
+            <h2>Recommendations for User ${userId}</h2>
+            <div class="three-columns">
+                <div>
+                    <h3>Top Rated Movies (Historical)</h3>
+                    ${this.renderMovieTable('Rating', ratedRows)}
+                </div>
+                ${modelColumns}
+            </div>
+        `;
+    }
+    
+    renderMovieTable(valueLabel, rows) {
+        return `
+            <table>
+                <thead>
+                    <tr><th>Rank</th><th>Movie</th><th>${valueLabel}</th><th>Year</th><th>Genres</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+    
+    // explanation: optional HTML shown in a row of its own under the movie
+    renderMovieRow(rank, itemId, value, explanation = null) {
+        const item = this.items.get(itemId);
+        const year = item && item.year ? item.year : 'N/A';
+        
+        return `
+            <tr>
+                <td>${rank}</td>
+                <td>${this.escapeHtml(this.getTitle(itemId))}</td>
+                <td>${value}</td>
+                <td>${year}</td>
+                <td>${this.escapeHtml(this.getGenreNames(itemId).join(', '))}</td>
+            </tr>
+            ${explanation ? `<tr class="explanation"><td></td><td colspan="4">${explanation}</td></tr>` : ''}
+        `;
+    }
+    
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    updateStatus(message) {
+        document.getElementById('status').textContent = message;
     }
-
-    // ... other methods remain the same ...
 }
 
 // Initialize app when page loads
@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+// Headless front end: the same data preparation, training and evaluation as the page,
+// run from Node on local dataset files.
+//
+//   node cli.js train [options]               train the models, save them and write their metrics
+//   node cli.js evaluate [options]            evaluate saved models on the held-out split
+//   node cli.js recommend --user <id> [...]   top-K recommendations of each saved model for one user
+//
+// The model and data files are classic browser scripts sharing globals (see the
+// importScripts list in training-worker.js), so they are run in this context once tf
+// is set up: tfjs-node when it is installed, otherwise the pure JavaScript CPU backend.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Readable } = require('stream');
+const { parseArgs } = require('util');
+
+const SCRIPTS = [
+    'datasets.js',
+    'losses.js',
+    'features.js',
+    'two-tower.js',
+    'matrix-factorization.js',
+    'evaluation.js',
+    'model-io.js',
+    'trainer.js',
+    'retrieval-index.js',
+    'similar-items.js',
+    'reranking.js',
+    'recommender.js'
+];
+
+const OPTIONS = {
+    'data-dir': { type: 'string', default: '.' },
+    dataset: { type: 'string' },
+    config: { type: 'string' },
+    'models-dir': { type: 'string', default: 'models' },
+    metrics: { type: 'string' },
+    models: { type: 'string' },
+    user: { type: 'string' },
+    epochs: { type: 'string' },
+    'max-interactions': { type: 'string' },
+    'embedding-dim': { type: 'string' },
+    'batch-size': { type: 'string' },
+    'learning-rate': { type: 'string' },
+    k: { type: 'string' },
+    split: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Numeric flags and the config path each one sets
+const NUMBER_OPTIONS = {
+    epochs: { path: ['epochs'], integer: true },
+    'max-interactions': { path: ['maxInteractions'], integer: true },
+    'embedding-dim': { path: ['embeddingDim'], integer: true },
+    'batch-size': { path: ['batchSize'], integer: true },
+    'learning-rate': { path: ['learningRate'], integer: false },
+    k: { path: ['evaluation', 'k'], integer: true }
+};
+
+const USAGE = `Usage: node cli.js <train|evaluate|recommend> [options]
+
+Commands:
+  train                   train the models, save them to --models-dir and write their metrics
+  evaluate                evaluate the saved models on the held-out split and write the metrics
+  recommend --user <id>   top-K recommendations of each saved model for a user in the dataset
+
+Options:
+  --data-dir <dir>        directory with the dataset files, e.g. u.data and u.item (default: .)
+  --dataset <format>      ml-100k | ml-1m | ml-latest (default: ml-100k)
+  --config <file>         JSON file merged over the default settings (see RecommenderPipeline.defaultConfig)
+  --models-dir <dir>      where models are saved and loaded (default: models)
+  --metrics <file>        metrics output (default: <models-dir>/metrics-<command>.json)
+  --models <keys>         comma-separated models to train: basic, deep, mf (default: all)
+  --epochs, --max-interactions, --embedding-dim, --batch-size, --learning-rate <n>
+  --k <n>                 cutoff for the ranking metrics and number of recommendations
+  --split <type>          leave-last-out | random | temporal
+  -h, --help              show this message
+
+Evaluation and recommendations rebuild the same split from the same settings and
+seed, so use the options the models were trained with.`;
+
+function loadTensorFlow() {
+    try {
+        return { tf: require('@tensorflow/tfjs-node'), backend: 'tfjs-node' };
+    } catch (error) {
+        return { tf: require('@tensorflow/tfjs'), backend: 'cpu (pure JavaScript; install @tensorflow/tfjs-node to speed this up)' };
+    }
+}
+
+function loadScripts() {
+    SCRIPTS.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+        vm.runInThisContext(source, { filename: file });
+    });
+}
+
+// Plain objects are merged key by key; anything else replaces the default
+function mergeConfig(target, overrides) {
+    Object.entries(overrides).forEach(([key, value]) => {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        if (isObject && target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+            mergeConfig(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    });
+    return target;
+}
+
+function buildConfig(options) {
+    const config = RecommenderPipeline.defaultConfig();
+    if (options.config) {
+        mergeConfig(config, JSON.parse(fs.readFileSync(options.config, 'utf8')));
+    }
+    
+    config.dataset.baseUrl = options['data-dir'];
+    if (options.dataset) config.dataset.format = options.dataset;
+    if (options.split) config.evaluation.split = options.split;
+    
+    Object.entries(NUMBER_OPTIONS).forEach(([name, { path: keys, integer }]) => {
+        if (options[name] === undefined) return;
+        const value = Number(options[name]);
+        if (!Number.isFinite(value) || value <= 0 || (integer && !Number.isInteger(value))) {
+            throw new Error(`--${name} must be a positive ${integer ? 'integer' : 'number'}`);
+        }
+        const parent = keys.slice(0, -1).reduce((object, key) => object[key], config);
+        parent[keys[keys.length - 1]] = value;
+    });
+    // One K for the metrics and the recommendation lists
+    config.topK = config.evaluation.k;
+    
+    return config;
+}
+
+// Byte stream of a dataset file, or null when the directory has no such file
+async function openDatasetFile(filePath) {
+    try {
+        const { size } = await fs.promises.stat(filePath);
+        return { stream: Readable.toWeb(fs.createReadStream(filePath)), size };
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function loadDataset(pipeline) {
+    const { format, baseUrl } = pipeline.config.dataset;
+    const loader = createDatasetLoader(format, name => openDatasetFile(path.join(baseUrl, name)));
+    pipeline.prepareDataset(await loader.load());
+    console.log(pipeline.describeDataset(path.join(baseUrl, format)));
+}
+
+// Same file names as the page's "Download" button, so either side can load the other's models
+function bundleName(key) {
+    return `${key}-two-tower`;
+}
+
+async function saveModels(pipeline, directory) {
+    fs.mkdirSync(directory, { recursive: true });
+    const context = pipeline.getModelContext();
+    
+    for (const { key, model } of pipeline.getInstalledModels()) {
+        const bundle = await ModelIO.serialize(model, context);
+        const weightsFile = `${bundleName(key)}.weights.bin`;
+        fs.writeFileSync(path.join(directory, `${bundleName(key)}.json`), JSON.stringify({ ...bundle.manifest, weightsFile }));
+        fs.writeFileSync(path.join(directory, weightsFile), Buffer.from(bundle.weightData));
+    }
+}
+
+function loadModels(pipeline, directory) {
+    const bundles = [];
+    RecommenderPipeline.MODELS.forEach(({ key }) => {
+        const manifestPath = path.join(directory, `${bundleName(key)}.json`);
+        if (!fs.existsSync(manifestPath)) return;
+        
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        ModelIO.validateManifest(manifest);
+        const weights = fs.readFileSync(path.join(directory, manifest.weightsFile));
+        const weightData = weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.byteLength);
+        bundles.push({ manifest, weightData });
+    });
+    
+    if (bundles.length === 0) {
+        throw new Error(`No saved models in ${directory}; run "train" first`);
+    }
+    
+    const { keys, remapped } = pipeline.installModels(bundles);
+    const note = remapped ? ' Index mappings differed from the loaded dataset and were remapped by ID.' : '';
+    console.log(`Loaded ${keys.join(', ')} model(s) from ${directory}.${note}`);
+}
+
+// Trainer.createModels builds every model; keep the requested ones
+function selectModels(models, keys) {
+    if (!keys) return models;
+    const wanted = keys.split(',').map(key => key.trim());
+    const unknown = wanted.filter(key => !models.some(entry => entry.key === key));
+    if (unknown.length > 0) {
+        models.forEach(({ model }) => model.dispose());
+        throw new Error(`Unknown model(s) ${unknown.join(', ')}; expected ${models.map(({ key }) => key).join(', ')}`);
+    }
+    
+    models.filter(({ key }) => !wanted.includes(key)).forEach(({ model }) => model.dispose());
+    return models.filter(({ key }) => wanted.includes(key));
+}
+
+async function train(pipeline, options) {
+    const data = pipeline.buildTrainingData();
+    const models = selectModels(Trainer.createModels(data, pipeline.config), options.models);
+    let finalLosses = {};
+    
+    const trainer = new Trainer(models, data, pipeline.config, {
+        onEpoch: ({ epoch, losses, validationLosses, validationRecall, learningRate, stopped }) => {
+            finalLosses = { ...finalLosses, ...losses };
+            const parts = [
+                `Epoch ${epoch + 1}/${pipeline.config.epochs} (lr ${learningRate.toPrecision(3)}):`,
+                pipeline.formatLosses(losses, 'Avg Loss')
+            ];
+            if (Object.keys(validationLosses).length > 0) parts.push(pipeline.formatLosses(validationLosses, 'Val Loss'));
+            if (Object.keys(validationRecall).length > 0) parts.push(pipeline.formatLosses(validationRecall, 'Val Recall'));
+            if (stopped.length > 0) parts.push(`Early stopping: ${stopped.join(', ')}.`);
+            console.log(parts.join(' '));
+        }
+    });
+    
+    console.log(`Training ${models.map(({ key }) => key).join(', ')} on ${data.userIndices.length} examples...`);
+    const startedAt = Date.now();
+    let result;
+    try {
+        result = await trainer.run();
+    } catch (error) {
+        models.forEach(({ model }) => model.dispose());
+        throw error;
+    }
+    const wallTimeMs = Date.now() - startedAt;
+    
+    pipeline.installTrainedModels(models);
+    await saveModels(pipeline, options['models-dir']);
+    console.log(`Trained in ${(wallTimeMs / 1000).toFixed(1)} s; models saved to ${options['models-dir']}.`);
+    
+    return { wallTimeMs, finalLosses, bestEpochs: result.bestEpochs };
+}
+
+async function evaluate(pipeline) {
+    if (pipeline.testItemsByUser.size === 0) {
+        throw new Error('No held-out interactions to evaluate against');
+    }
+    
+    console.log(`Evaluating on ${pipeline.testItemsByUser.size} users...`);
+    const evaluator = pipeline.createEvaluator();
+    const models = pipeline.getEvaluationModels();
+    const results = await pipeline.evaluateModels(evaluator, models);
+    printEvaluation(pipeline, results);
+    
+    const timeWindows = pipeline.config.evaluation.split === 'temporal'
+        ? await pipeline.evaluateTimeWindows(evaluator, models.filter(({ reranker }) => !reranker))
+        : null;
+    
+    return { results, timeWindows };
+}
+
+function printEvaluation(pipeline, results) {
+    const k = pipeline.config.evaluation.k;
+    const format = (value, digits = 4) => value === null || value === undefined ? '-' : value.toFixed(digits);
+    console.table(Object.fromEntries(results.map(({ name, metrics }) => [name, {
+        [`Recall@${k}`]: format(metrics.recall),
+        [`NDCG@${k}`]: format(metrics.ndcg),
+        [`MRR@${k}`]: format(metrics.mrr),
+        [`Hit Rate@${k}`]: format(metrics.hitRate),
+        Coverage: `${(metrics.coverage * 100).toFixed(1)}%`,
+        Novelty: format(metrics.novelty, 2),
+        Diversity: format(metrics.diversity),
+        RMSE: format(metrics.rating && metrics.rating.rmse),
+        MAE: format(metrics.rating && metrics.rating.mae)
+    }])));
+}
+
+// User IDs are numbers for the MovieLens files and may be strings for other sources
+function resolveUserId(pipeline, text) {
+    if (pipeline.userMap.has(text)) return text;
+    const number = Number(text);
+    if (text !== '' && pipeline.userMap.has(number)) return number;
+    throw new Error(`User ${text} has no training interactions in the loaded dataset`);
+}
+
+function recommend(pipeline, options) {
+    if (options.user === undefined) {
+        throw new Error('recommend needs --user <id>');
+    }
+    const userId = resolveUserId(pipeline, options.user);
+    const userIndex = pipeline.userMap.get(userId);
+    const userInteractions = pipeline.getUserRatings(userId);
+    const ratedItemIds = new Set(userInteractions.map(({ itemId }) => itemId));
+    const k = pipeline.config.topK;
+    
+    const describe = itemId => {
+        const item = pipeline.items.get(itemId);
+        const year = item && item.year ? ` (${item.year})` : '';
+        const genres = pipeline.getGenreNames(itemId);
+        return `${pipeline.getTitle(itemId)}${year}${genres.length > 0 ? ` - ${genres.join(', ')}` : ''}`;
+    };
+    
+    console.log(`\nTop rated by user ${userId} (${userInteractions.length} ratings):`);
+    userInteractions.slice(0, k).forEach(({ itemId, rating }, index) => {
+        console.log(`  ${String(index + 1).padStart(2)}. ${rating} ★  ${describe(itemId)}`);
+    });
+    
+    pipeline.getInstalledModels().forEach(({ key, name }) => {
+        const recs = pipeline.getRecommendations(key, userIndex, ratedItemIds, k);
+        console.log(`\n${name}:`);
+        recs.forEach(({ itemId, score }, index) => {
+            console.log(`  ${String(index + 1).padStart(2)}. ${score.toFixed(4)}  ${describe(itemId)}`);
+        });
+    });
+}
+
+function writeMetrics(file, report) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    console.log(`Metrics written to ${file}.`);
+}
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const command = positionals[0];
+    if (options.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+    if (!['train', 'evaluate', 'recommend'].includes(command)) {
+        throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+    
+    const { tf, backend } = loadTensorFlow();
+    global.tf = tf;
+    loadScripts();
+    console.log(`TensorFlow.js backend: ${backend}`);
+    
+    const pipeline = new RecommenderPipeline(buildConfig(options));
+    await loadDataset(pipeline);
+    
+    if (command === 'recommend') {
+        loadModels(pipeline, options['models-dir']);
+        recommend(pipeline, options);
+        return;
+    }
+    
+    const training = command === 'train' ? await train(pipeline, options) : null;
+    if (command === 'evaluate') loadModels(pipeline, options['models-dir']);
+    const { results, timeWindows } = await evaluate(pipeline);
+    
+    writeMetrics(options.metrics || path.join(options['models-dir'], `metrics-${command}.json`), {
+        command,
+        createdAt: new Date().toISOString(),
+        dataset: pipeline.describeDataset(pipeline.config.dataset.format),
+        config: pipeline.config,
+        training,
+        metrics: Object.fromEntries(results.map(({ key, metrics }) => [key, metrics])),
+        timeWindows
+    });
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,77 @@
+// Recommendations for users who are not in the training data.
+// A user vector is folded into a trained model's item space from a handful of
+// ratings, without retraining: either a ridge least-squares fit of the rated
+// items' tower outputs against the (centred) ratings, or a rating-weighted average.
+class ColdStartRecommender {
+    static get DEFAULTS() {
+        return {
+            method: 'least-squares', // or 'average'
+            regularization: 0.1,
+            neutralRating: 3 // ratings above this pull the user vector towards an item, below push away
+        };
+    }
+    
+    // itemVectors: [numItems, dim] item tower output
+    // ratings: [{ itemIndex, rating }]
+    static foldIn(itemVectors, ratings, options = {}) {
+        const { method, regularization, neutralRating } = { ...ColdStartRecommender.DEFAULTS, ...options };
+        if (ratings.length === 0) {
+            throw new Error('Rate at least one movie first');
+        }
+        
+        const dim = itemVectors.shape[1];
+        const targets = ratings.map(r => r.rating - neutralRating);
+        
+        return tf.tidy(() => {
+            const rated = tf.gather(itemVectors, tf.tensor1d(ratings.map(r => r.itemIndex), 'int32'));
+            const target = tf.tensor2d(targets, [targets.length, 1]);
+            
+            // Weighted average of rated item vectors
+            if (method === 'average') {
+                return tf.div(tf.sum(tf.mul(rated, target), 0), ratings.length).dataSync();
+            }
+            
+            // Ridge regression: (Vᵀ V + λI) u = Vᵀ y
+            const gram = tf.add(tf.matMul(rated, rated, true, false), tf.mul(tf.eye(dim), regularization));
+            const rhs = tf.matMul(rated, target, true, false);
+            return ColdStartRecommender.solve(gram.arraySync(), Array.from(rhs.dataSync()));
+        });
+    }
+    
+    // Scores for every item given a folded-in user vector
+    static scoreItems(itemVectors, userVector) {
+        return tf.tidy(() => tf.dot(itemVectors, tf.tensor1d(userVector)).dataSync());
+    }
+    
+    // Gaussian elimination with partial pivoting for the small dim x dim system
+    static solve(matrix, rhs) {
+        const n = rhs.length;
+        const a = matrix.map((row, i) => [...row, rhs[i]]);
+        
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+            
+            const diagonal = a[col][col] || 1e-12;
+            for (let row = col + 1; row < n; row++) {
+                const factor = a[row][col] / diagonal;
+                for (let k = col; k <= n; k++) {
+                    a[row][k] -= factor * a[col][k];
+                }
+            }
+        }
+        
+        const solution = new Float32Array(n);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = a[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= a[row][k] * solution[k];
+            }
+            solution[row] = sum / (a[row][row] || 1e-12);
+        }
+        return solution;
+    }
+}
@@ -0,0 +1,517 @@
+// Dataset loaders. Each format reads its files through openFile(name), which resolves to
+// { stream, size } (a ReadableStream of bytes and its length in bytes, or null when unknown)
+// or to null when the file does not exist. Files are decoded and parsed line by line as
+// they stream in, so the raw text is never held in memory. A loader returns
+//   interactions: InteractionTable (typed-array columns, see below)
+//   items: Map<itemId, { title, year, releaseDate, imdbUrl, genres }> (genres: multi-hot over genreList)
+//   genreList: genre names
+//   users: Map<userId, { age, gender, occupation, zip }> (empty when the format has no user file)
+// Malformed rows raise an error naming the file and line instead of being skipped.
+// options.onProgress({ file, bytesRead, totalBytes, lines }) is called as each chunk is parsed.
+
+// Loader by format name: 'ml-100k' | 'ml-1m' | 'ml-latest' | 'csv'
+function createDatasetLoader(format, openFile, options = {}) {
+    switch (format) {
+        case 'ml-100k':
+            return new MovieLens100KLoader(openFile, options);
+        case 'ml-1m':
+            return new MovieLens1MLoader(openFile, options);
+        case 'ml-latest':
+            return new MovieLensLatestLoader(openFile, options);
+        case 'csv':
+            return new CsvInteractionsLoader(openFile, options);
+        default:
+            throw new Error(`Unknown dataset format "${format}"`);
+    }
+}
+
+// Interactions as growable columns: dense user/item indices (Int32Array), ratings
+// (Float32Array) and timestamps (Float64Array). The original IDs are numbered in order
+// of appearance while rows are added; userIds / itemIds map the indices back.
+class InteractionTable {
+    constructor(capacity = 65536) {
+        this.length = 0;
+        this.users = new Int32Array(capacity);
+        this.items = new Int32Array(capacity);
+        this.ratings = new Float32Array(capacity);
+        this.timestamps = new Float64Array(capacity);
+        
+        this.userIds = [];
+        this.itemIds = [];
+        this.userIndex = new Map();
+        this.itemIndex = new Map();
+    }
+    
+    add(userId, itemId, rating, timestamp) {
+        if (this.length === this.users.length) this.grow();
+        
+        const row = this.length++;
+        this.users[row] = InteractionTable.indexOf(this.userIndex, this.userIds, userId);
+        this.items[row] = InteractionTable.indexOf(this.itemIndex, this.itemIds, itemId);
+        this.ratings[row] = rating;
+        this.timestamps[row] = timestamp;
+    }
+    
+    static indexOf(index, ids, id) {
+        let value = index.get(id);
+        if (value === undefined) {
+            value = ids.length;
+            index.set(id, value);
+            ids.push(id);
+        }
+        return value;
+    }
+    
+    // Doubles the capacity of every column
+    grow() {
+        const resize = column => {
+            const larger = new column.constructor(column.length * 2);
+            larger.set(column);
+            return larger;
+        };
+        this.users = resize(this.users);
+        this.items = resize(this.items);
+        this.ratings = resize(this.ratings);
+        this.timestamps = resize(this.timestamps);
+    }
+    
+    row(row) {
+        return {
+            userId: this.userIds[this.users[row]],
+            itemId: this.itemIds[this.items[row]],
+            rating: this.ratings[row],
+            timestamp: this.timestamps[row]
+        };
+    }
+    
+    // Row numbers ordered by timestamp, ties in file order
+    rowsByTime() {
+        const rows = new Int32Array(this.length);
+        for (let row = 0; row < rows.length; row++) rows[row] = row;
+        return rows.sort((a, b) => this.timestamps[a] - this.timestamps[b] || a - b);
+    }
+}
+
+class DatasetLoader {
+    constructor(openFile, options = {}) {
+        this.openFile = openFile;
+        this.onProgress = options.onProgress || null;
+    }
+    
+    // Streams a file and calls callback(fields, lineNumber) for every non-empty line after
+    // the optional header (passed to onHeader). splitLine defaults to splitting on separator.
+    // Resolves to false when an optional file does not exist. With fallbackEncoding the file
+    // is decoded strictly and read again in that encoding when it is not valid in the first.
+    async forEachRecord(name, options, callback) {
+        const { encoding = 'utf-8', fallbackEncoding = null, optional = false, separator, header = false, onHeader = null, splitLine = null } = options;
+        if (fallbackEncoding) {
+            // Only meant for small catalog files: the records are held back until the
+            // whole file has decoded, so the callback never sees a half-decoded file
+            const records = [];
+            let found;
+            try {
+                found = await this.forEachRecord(name, { ...options, fallbackEncoding: null, fatal: true }, (fields, lineNumber) => {
+                    records.push({ fields, lineNumber });
+                });
+            } catch (error) {
+                if (!(error instanceof TypeError)) throw error;
+                return this.forEachRecord(name, { ...options, encoding: fallbackEncoding, fallbackEncoding: null }, callback);
+            }
+            records.forEach(({ fields, lineNumber }) => callback(fields, lineNumber));
+            return found;
+        }
+        
+        const file = await this.openFile(name);
+        if (file === null) {
+            if (optional) return false;
+            throw new Error(`Required file ${name} was not found`);
+        }
+        
+        const split = splitLine || (line => line.split(separator));
+        let lineNumber = 0;
+        const handleLine = line => {
+            lineNumber++;
+            if (line.endsWith('\r')) line = line.slice(0, -1);
+            if (header && lineNumber === 1) {
+                if (onHeader) onHeader(split(line));
+            } else if (line.trim() !== '') {
+                callback(split(line), lineNumber);
+            }
+        };
+        
+        // Lines may straddle chunks (and multi-byte characters may too, which the
+        // streaming decoder takes care of): the unfinished tail waits for the next chunk
+        const decoder = new TextDecoder(encoding, { fatal: Boolean(options.fatal) });
+        const reader = file.stream.getReader();
+        let pending = '';
+        let bytesRead = 0;
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                
+                bytesRead += value.byteLength;
+                const lines = (pending + decoder.decode(value, { stream: true })).split('\n');
+                pending = lines.pop();
+                lines.forEach(handleLine);
+                
+                if (this.onProgress) {
+                    this.onProgress({ file: name, bytesRead, totalBytes: file.size, lines: lineNumber });
+                }
+            }
+            pending += decoder.decode();
+            if (pending !== '') handleLine(pending);
+        } catch (error) {
+            reader.cancel().catch(() => {});
+            throw error;
+        }
+        return true;
+    }
+    
+    // Splits one CSV line, honouring double-quoted fields ("a, b" and "" escapes)
+    static splitCsvLine(line, delimiter = ',') {
+        const fields = [];
+        let field = '';
+        let quoted = false;
+        
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                fields.push(field);
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        fields.push(field);
+        return fields;
+    }
+    
+    static fail(file, lineNumber, message) {
+        throw new Error(`${file}, line ${lineNumber}: ${message}`);
+    }
+    
+    static expectFields(fields, count, file, lineNumber) {
+        if (fields.length < count) {
+            DatasetLoader.fail(file, lineNumber, `expected ${count} fields, found ${fields.length}`);
+        }
+    }
+    
+    static parseInteger(value, column, file, lineNumber) {
+        const text = String(value).trim();
+        if (!/^-?\d+$/.test(text)) {
+            DatasetLoader.fail(file, lineNumber, `${column} "${value}" is not an integer`);
+        }
+        return parseInt(text);
+    }
+    
+    static parseNumber(value, column, file, lineNumber) {
+        const number = Number(String(value).trim());
+        if (String(value).trim() === '' || !Number.isFinite(number)) {
+            DatasetLoader.fail(file, lineNumber, `${column} "${value}" is not a number`);
+        }
+        return number;
+    }
+    
+    // Ratings line of [userId, itemId, rating, timestamp], appended to the table
+    static addInteraction(table, fields, file, lineNumber) {
+        DatasetLoader.expectFields(fields, 4, file, lineNumber);
+        table.add(
+            DatasetLoader.parseInteger(fields[0], 'user id', file, lineNumber),
+            DatasetLoader.parseInteger(fields[1], 'item id', file, lineNumber),
+            DatasetLoader.parseNumber(fields[2], 'rating', file, lineNumber),
+            DatasetLoader.parseInteger(fields[3], 'timestamp', file, lineNumber)
+        );
+    }
+    
+    // "Toy Story (1995)" → { title: 'Toy Story', year: 1995 }
+    static splitTitleYear(rawTitle) {
+        const title = (rawTitle || '').trim();
+        const match = title.match(/\((\d{4})\)/);
+        if (!match) return { title, year: null };
+        return { title: title.replace(/\(\d{4}\)/, '').trim(), year: parseInt(match[1]) };
+    }
+    
+    // Items whose genres are name lists: builds a sorted genre vocabulary and the multi-hot flags
+    static encodeGenres(itemsWithNames) {
+        const genreList = Array.from(new Set(
+            Array.from(itemsWithNames.values()).flatMap(item => item.genreNames)
+        )).sort();
+        const genreIndex = new Map(genreList.map((genre, index) => [genre, index]));
+        
+        const items = new Map();
+        itemsWithNames.forEach(({ genreNames, ...item }, itemId) => {
+            const genres = Array(genreList.length).fill(0);
+            genreNames.forEach(genre => {
+                genres[genreIndex.get(genre)] = 1;
+            });
+            items.set(itemId, { ...item, genres });
+        });
+        
+        return { items, genreList };
+    }
+    
+    // Placeholder entries for rated items the item file does not describe
+    static addMissingItems(table, items, numGenres) {
+        table.itemIds.forEach(itemId => {
+            if (items.has(itemId)) return;
+            items.set(itemId, {
+                title: `Item ${itemId}`,
+                year: null,
+                releaseDate: null,
+                imdbUrl: null,
+                genres: Array(numGenres).fill(0)
+            });
+        });
+    }
+}
+
+// MovieLens 100K: u.data (tab-separated), u.item and u.user (pipe-separated, Latin-1)
+class MovieLens100KLoader extends DatasetLoader {
+    static get GENRES() {
+        return [
+            "Unknown", "Action", "Adventure", "Animation", "Children's",
+            "Comedy", "Crime", "Documentary", "Drama", "Fantasy",
+            "Film-Noir", "Horror", "Musical", "Mystery", "Romance",
+            "Sci-Fi", "Thriller", "War", "Western"
+        ];
+    }
+    
+    async load() {
+        const interactions = new InteractionTable();
+        await this.forEachRecord('u.data', { separator: '\t' }, (fields, lineNumber) => {
+            DatasetLoader.addInteraction(interactions, fields, 'u.data', lineNumber);
+        });
+        
+        const genreList = MovieLens100KLoader.GENRES;
+        const items = new Map();
+        // u.item format: movie id | movie title | release date | video release date | IMDb URL | genre1|genre2|...|genre19
+        // The copy in this repository is UTF-8; the original GroupLens download is latin1
+        await this.forEachRecord('u.item', { fallbackEncoding: 'latin1', separator: '|' }, (fields, lineNumber) => {
+            DatasetLoader.expectFields(fields, 5 + genreList.length, 'u.item', lineNumber);
+            const itemId = DatasetLoader.parseInteger(fields[0], 'movie id', 'u.item', lineNumber);
+            let { title, year } = DatasetLoader.splitTitleYear(fields[1]);
+            
+            // Fall back to the release date column (e.g. "01-Jan-1995")
+            const releaseDate = fields[2] || null;
+            if (year === null && releaseDate) {
+                const dateMatch = releaseDate.match(/(\d{4})$/);
+                if (dateMatch) year = parseInt(dateMatch[1]);
+            }
+            
+            const genres = fields.slice(5, 5 + genreList.length).map(flag => {
+                if (flag !== '0' && flag !== '1') {
+                    DatasetLoader.fail('u.item', lineNumber, `genre flag "${flag}" is not 0 or 1`);
+                }
+                return parseInt(flag);
+            });
+            
+            items.set(itemId, { title, year, releaseDate, imdbUrl: fields[4] || null, genres });
+        });
+        
+        // u.user format: user id | age | gender | occupation | zip code (optional)
+        const users = new Map();
+        await this.forEachRecord('u.user', { optional: true, separator: '|' }, (fields, lineNumber) => {
+            DatasetLoader.expectFields(fields, 5, 'u.user', lineNumber);
+            users.set(DatasetLoader.parseInteger(fields[0], 'user id', 'u.user', lineNumber), {
+                age: DatasetLoader.parseInteger(fields[1], 'age', 'u.user', lineNumber),
+                gender: fields[2],
+                occupation: fields[3],
+                zip: fields[4].trim()
+            });
+        });
+        
+        DatasetLoader.addMissingItems(interactions, items, genreList.length);
+        return { interactions, items, genreList, users };
+    }
+}
+
+// MovieLens 1M: ratings.dat, movies.dat and users.dat, "::"-separated, Latin-1
+class MovieLens1MLoader extends DatasetLoader {
+    async load() {
+        const interactions = new InteractionTable();
+        // ratings.dat format: UserID::MovieID::Rating::Timestamp
+        await this.forEachRecord('ratings.dat', { separator: '::' }, (fields, lineNumber) => {
+            DatasetLoader.addInteraction(interactions, fields, 'ratings.dat', lineNumber);
+        });
+        
+        // movies.dat format: MovieID::Title::Genres (pipe-separated names)
+        const itemsWithNames = new Map();
+        await this.forEachRecord('movies.dat', { encoding: 'latin1', separator: '::' }, (fields, lineNumber) => {
+            DatasetLoader.expectFields(fields, 3, 'movies.dat', lineNumber);
+            const itemId = DatasetLoader.parseInteger(fields[0], 'movie id', 'movies.dat', lineNumber);
+            itemsWithNames.set(itemId, {
+                ...DatasetLoader.splitTitleYear(fields[1]),
+                releaseDate: null,
+                imdbUrl: null,
+                genreNames: fields[2].split('|').filter(Boolean)
+            });
+        });
+        const { items, genreList } = DatasetLoader.encodeGenres(itemsWithNames);
+        
+        // users.dat format: UserID::Gender::Age::Occupation::Zip-code (age and occupation are codes)
+        const users = new Map();
+        await this.forEachRecord('users.dat', { encoding: 'latin1', optional: true, separator: '::' }, (fields, lineNumber) => {
+            DatasetLoader.expectFields(fields, 5, 'users.dat', lineNumber);
+            users.set(DatasetLoader.parseInteger(fields[0], 'user id', 'users.dat', lineNumber), {
+                age: DatasetLoader.parseInteger(fields[2], 'age', 'users.dat', lineNumber),
+                gender: fields[1],
+                occupation: fields[3],
+                zip: fields[4].trim()
+            });
+        });
+        
+        DatasetLoader.addMissingItems(interactions, items, genreList.length);
+        return { interactions, items, genreList, users };
+    }
+}
+
+// MovieLens latest (ml-latest / ml-latest-small): ratings.csv and movies.csv with
+// headers; titles may be quoted, genres are pipe-separated names
+class MovieLensLatestLoader extends DatasetLoader {
+    async load() {
+        const interactions = new InteractionTable();
+        // ratings.csv format: userId,movieId,rating,timestamp
+        await this.forEachRecord('ratings.csv', { separator: ',', header: true }, (fields, lineNumber) => {
+            DatasetLoader.addInteraction(interactions, fields, 'ratings.csv', lineNumber);
+        });
+        
+        // movies.csv format: movieId,title,genres
+        const itemsWithNames = new Map();
+        const csv = { header: true, splitLine: line => DatasetLoader.splitCsvLine(line) };
+        await this.forEachRecord('movies.csv', csv, (fields, lineNumber) => {
+            DatasetLoader.expectFields(fields, 3, 'movies.csv', lineNumber);
+            const itemId = DatasetLoader.parseInteger(fields[0], 'movie id', 'movies.csv', lineNumber);
+            itemsWithNames.set(itemId, {
+                ...DatasetLoader.splitTitleYear(fields[1]),
+                releaseDate: null,
+                imdbUrl: null,
+                genreNames: fields[2] === '(no genres listed)' ? [] : fields[2].split('|').filter(Boolean)
+            });
+        });
+        const { items, genreList } = DatasetLoader.encodeGenres(itemsWithNames);
+        
+        DatasetLoader.addMissingItems(interactions, items, genreList.length);
+        return { interactions, items, genreList, users: new Map() };
+    }
+}
+
+// A user-supplied interactions CSV with a header row. options.columns maps each
+// role to a header name: { user, item, rating?, timestamp? }. Without a rating
+// column every interaction counts as 5 stars (implicit feedback); without a
+// timestamp column the row number orders interactions in time.
+// IDs may be arbitrary strings; they are numbered in order of appearance.
+class CsvInteractionsLoader extends DatasetLoader {
+    constructor(openFile, options = {}) {
+        super(openFile, options);
+        this.file = options.file || 'interactions.csv';
+        this.columns = options.columns || {};
+        this.delimiter = options.delimiter || ',';
+        // splitCsvLine compares one character at a time
+        if (this.delimiter.length !== 1) {
+            throw new Error(`CSV delimiter must be a single character, got "${this.delimiter}"`);
+        }
+    }
+    
+    // Header names of a CSV text (only the first line is needed), for the column mapping form
+    static readHeader(text, delimiter = ',') {
+        const firstLine = text.slice(0, text.search(/\r?\n|$/));
+        return DatasetLoader.splitCsvLine(firstLine, delimiter).map(name => name.trim());
+    }
+    
+    // Positions of the mapped columns in the header row; -1 for unmapped optional roles
+    resolveColumns(header) {
+        const columnIndex = (role, required) => {
+            const name = this.columns[role];
+            if (!name) {
+                if (required) throw new Error(`Choose the ${role} column of ${this.file}`);
+                return -1;
+            }
+            const index = header.indexOf(name);
+            if (index === -1) {
+                throw new Error(`${this.file} has no column "${name}" (columns: ${header.join(', ')})`);
+            }
+            return index;
+        };
+        return {
+            user: columnIndex('user', true),
+            item: columnIndex('item', true),
+            rating: columnIndex('rating', false),
+            timestamp: columnIndex('timestamp', false)
+        };
+    }
+    
+    async load() {
+        let header = null;
+        let columns = null;
+        
+        // Arbitrary ID strings → sequential integer IDs
+        const userIds = new Map();
+        const itemIds = new Map();
+        const idFor = (ids, value) => {
+            if (!ids.has(value)) ids.set(value, ids.size + 1);
+            return ids.get(value);
+        };
+        
+        const interactions = new InteractionTable();
+        const csv = {
+            header: true,
+            onHeader: fields => {
+                header = fields.map(name => name.trim());
+                columns = this.resolveColumns(header);
+            },
+            splitLine: line => DatasetLoader.splitCsvLine(line, this.delimiter)
+        };
+        await this.forEachRecord(this.file, csv, (fields, lineNumber) => {
+            DatasetLoader.expectFields(fields, header.length, this.file, lineNumber);
+            
+            const user = fields[columns.user].trim();
+            const item = fields[columns.item].trim();
+            if (!user || !item) {
+                DatasetLoader.fail(this.file, lineNumber, 'user and item must not be empty');
+            }
+            
+            interactions.add(
+                idFor(userIds, user),
+                idFor(itemIds, item),
+                columns.rating === -1 ? 5 : DatasetLoader.parseNumber(fields[columns.rating], 'rating', this.file, lineNumber),
+                columns.timestamp === -1
+                    ? lineNumber
+                    : CsvInteractionsLoader.parseTimestamp(fields[columns.timestamp], this.file, lineNumber)
+            );
+        });
+        if (header === null) {
+            throw new Error(`${this.file} is empty`);
+        }
+        
+        // Keep the original IDs as titles so recommendations stay recognisable
+        const items = new Map();
+        itemIds.forEach((itemId, original) => {
+            items.set(itemId, { title: original, year: null, releaseDate: null, imdbUrl: null, genres: [] });
+        });
+        
+        return { interactions, items, genreList: [], users: new Map() };
+    }
+    
+    // Unix seconds, or any date string Date.parse understands
+    static parseTimestamp(value, file, lineNumber) {
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) return parseInt(text);
+        const milliseconds = Date.parse(text);
+        if (Number.isNaN(milliseconds)) {
+            DatasetLoader.fail(file, lineNumber, `timestamp "${value}" is neither Unix seconds nor a date`);
+        }
+        return Math.floor(milliseconds / 1000);
+    }
+}
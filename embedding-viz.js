@@ -0,0 +1,113 @@
+// 2-D PCA scatter plot of item vectors with hover tooltips
+class EmbeddingVisualizer {
+    constructor(canvas, tooltip) {
+        this.canvas = canvas;
+        this.tooltip = tooltip;
+        this.points = [];
+        this.screenPoints = [];
+        this.padding = 30;
+        
+        this.canvas.addEventListener('mousemove', (event) => this.handleHover(event));
+        this.canvas.addEventListener('mouseleave', () => this.hideTooltip());
+    }
+    
+    // Principal components of a [n, d] tensor via power iteration with deflation.
+    // Returns the [n, numComponents] projection and each component's share of variance.
+    static pca(matrix, numComponents = 2, iterations = 100) {
+        return tf.tidy(() => {
+            const [numRows, dim] = matrix.shape;
+            const centered = tf.sub(matrix, tf.mean(matrix, 0));
+            let covariance = tf.div(tf.matMul(centered, centered, true, false), Math.max(numRows - 1, 1));
+            const totalVariance = tf.sum(tf.mul(tf.eye(dim), covariance)).dataSync()[0] || 1;
+            
+            const components = [];
+            const explained = [];
+            for (let c = 0; c < numComponents; c++) {
+                let vector = tf.randomNormal([dim, 1]);
+                for (let i = 0; i < iterations; i++) {
+                    const next = tf.matMul(covariance, vector);
+                    vector = tf.div(next, tf.add(tf.norm(next), 1e-12));
+                }
+                
+                // Rayleigh quotient gives the eigenvalue for this component
+                const eigenvalue = tf.matMul(tf.matMul(vector, covariance, true, false), vector);
+                explained.push(eigenvalue.dataSync()[0] / totalVariance);
+                components.push(vector);
+                
+                // Remove this component before finding the next one
+                covariance = tf.sub(covariance, tf.mul(eigenvalue, tf.matMul(vector, vector, false, true)));
+            }
+            
+            const projection = tf.matMul(centered, tf.concat(components, 1));
+            return { projection: projection.arraySync(), explained };
+        });
+    }
+    
+    // points: [{ x, y, color, label }]
+    render(points) {
+        this.points = points;
+        this.screenPoints = [];
+        
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+        
+        if (points.length === 0) return;
+        
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
+        const rangeX = maxX - minX || 1;
+        const rangeY = maxY - minY || 1;
+        
+        points.forEach(point => {
+            const sx = this.padding + ((point.x - minX) / rangeX) * (width - 2 * this.padding);
+            const sy = height - this.padding - ((point.y - minY) / rangeY) * (height - 2 * this.padding);
+            this.screenPoints.push({ sx, sy, point });
+            
+            ctx.fillStyle = point.color;
+            ctx.globalAlpha = 0.75;
+            ctx.beginPath();
+            ctx.arc(sx, sy, 3, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+        
+        ctx.globalAlpha = 1;
+    }
+    
+    handleHover(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        // Account for CSS scaling of the canvas
+        const mx = (event.clientX - rect.left) * (this.canvas.width / rect.width);
+        const my = (event.clientY - rect.top) * (this.canvas.height / rect.height);
+        
+        let nearest = null;
+        let nearestDistance = 36; // 6px radius, squared
+        this.screenPoints.forEach(screenPoint => {
+            const dx = screenPoint.sx - mx;
+            const dy = screenPoint.sy - my;
+            const distance = dx * dx + dy * dy;
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = screenPoint;
+            }
+        });
+        
+        if (!nearest) {
+            this.hideTooltip();
+            return;
+        }
+        
+        this.tooltip.textContent = nearest.point.label;
+        this.tooltip.style.left = `${event.clientX - rect.left + 12}px`;
+        this.tooltip.style.top = `${event.clientY - rect.top + 12}px`;
+        this.tooltip.style.display = 'block';
+    }
+    
+    hideTooltip() {
+        this.tooltip.style.display = 'none';
+    }
+}
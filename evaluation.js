@@ -0,0 +1,314 @@
+// Seeded pseudo-random generator (mulberry32) so splits are reproducible
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Splits work on row numbers of an InteractionTable (datasets.js), so the held-out
+// and training interactions stay in the table's typed columns
+class InteractionSplitter {
+    // Split sampled rows into train/test before any model index mappings are built.
+    // Returns { train, test } as Int32Arrays of rows (plus cutoff for temporal splits).
+    static split(table, rows, options = {}) {
+        switch (options.split) {
+            case 'random':
+                return InteractionSplitter.randomHoldout(table, rows, options.testFraction, options.seed);
+            case 'temporal':
+                return InteractionSplitter.temporal(table, rows, options.cutoff, options.cutoffQuantile);
+            case 'leave-last-out':
+            default:
+                return InteractionSplitter.leaveLastOut(table, rows, options.holdoutPerUser);
+        }
+    }
+    
+    // Hold out each user's most recent interaction(s) by timestamp
+    static leaveLastOut(table, rows, holdoutPerUser = 1) {
+        const byUser = InteractionSplitter.groupByUser(table, rows);
+        const train = [];
+        const test = [];
+        
+        byUser.forEach(userRows => {
+            // Users need at least one interaction left for training
+            if (userRows.length <= holdoutPerUser) {
+                train.push(...userRows);
+                return;
+            }
+            
+            const sorted = [...userRows].sort((a, b) => table.timestamps[a] - table.timestamps[b]);
+            const cut = sorted.length - holdoutPerUser;
+            train.push(...sorted.slice(0, cut));
+            test.push(...sorted.slice(cut));
+        });
+        
+        return { train: Int32Array.from(train), test: Int32Array.from(test) };
+    }
+    
+    // Hold out a random fraction of each user's interactions
+    static randomHoldout(table, rows, testFraction = 0.2, seed = 42) {
+        const random = createRandom(seed);
+        const byUser = InteractionSplitter.groupByUser(table, rows);
+        const train = [];
+        const test = [];
+        
+        byUser.forEach(userRows => {
+            if (userRows.length < 2) {
+                train.push(...userRows);
+                return;
+            }
+            
+            // Fisher-Yates shuffle of a copy
+            const shuffled = [...userRows];
+            for (let i = shuffled.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            }
+            
+            const numTest = Math.min(
+                Math.max(1, Math.round(shuffled.length * testFraction)),
+                shuffled.length - 1
+            );
+            test.push(...shuffled.slice(0, numTest));
+            train.push(...shuffled.slice(numTest));
+        });
+        
+        return { train: Int32Array.from(train), test: Int32Array.from(test) };
+    }
+    
+    // Global cutoff: everything before it trains, everything at or after it is test.
+    // cutoff is a Unix timestamp (seconds); when null it is the timestamp at
+    // cutoffQuantile of the interactions ordered by time.
+    static temporal(table, rows, cutoff = null, cutoffQuantile = 0.8) {
+        if (rows.length === 0) {
+            return { train: new Int32Array(0), test: new Int32Array(0), cutoff };
+        }
+        
+        if (cutoff === null || cutoff === undefined) {
+            const timestamps = Float64Array.from(rows, row => table.timestamps[row]).sort();
+            const position = Math.min(Math.floor(timestamps.length * cutoffQuantile), timestamps.length - 1);
+            cutoff = timestamps[position];
+        }
+        
+        const train = rows.filter(row => table.timestamps[row] < cutoff);
+        const test = rows.filter(row => table.timestamps[row] >= cutoff);
+        if (train.length === 0) {
+            throw new Error(`Temporal cutoff ${new Date(cutoff * 1000).toISOString()} leaves no training interactions`);
+        }
+        
+        return { train, test, cutoff };
+    }
+    
+    // Consecutive, equally long time windows covering the rows
+    // (e.g. the test period of a temporal split): [{ start, end, rows }]
+    static timeWindows(table, rows, numWindows) {
+        if (rows.length === 0) return [];
+        
+        let first = Infinity;
+        let last = -Infinity;
+        rows.forEach(row => {
+            first = Math.min(first, table.timestamps[row]);
+            last = Math.max(last, table.timestamps[row]);
+        });
+        const length = (last - first + 1) / numWindows;
+        
+        const windows = Array.from({ length: numWindows }, (_, index) => ({
+            start: first + index * length,
+            end: first + (index + 1) * length,
+            rows: []
+        }));
+        rows.forEach(row => {
+            const index = Math.min(Math.floor((table.timestamps[row] - first) / length), numWindows - 1);
+            windows[index].rows.push(row);
+        });
+        
+        return windows;
+    }
+    
+    // Rows per user, keyed by the table's user index, users in order of first row
+    static groupByUser(table, rows) {
+        const byUser = new Map();
+        rows.forEach(row => {
+            const user = table.users[row];
+            if (!byUser.has(user)) {
+                byUser.set(user, []);
+            }
+            byUser.get(user).push(row);
+        });
+        return byUser;
+    }
+}
+
+// Trivial recommender: ranks every item by its training interaction count.
+// Exposes the same scoring interface as the two-tower models.
+class MostPopularBaseline {
+    constructor(itemCounts) {
+        this.itemCounts = itemCounts;
+    }
+    
+    getUserEmbedding() {
+        return null;
+    }
+    
+    async getScoresForAllItems() {
+        return this.itemCounts;
+    }
+}
+
+class RankingEvaluator {
+    // itemCounts: training interaction count per item index
+    constructor(numItems, itemCounts, k = 10) {
+        this.numItems = numItems;
+        this.itemCounts = itemCounts;
+        this.k = k;
+        this.totalCount = itemCounts.reduce((sum, count) => sum + count, 0);
+    }
+    
+    // trainItemsByUser / testItemsByUser: Map<userIndex, Set<itemIndex>>
+    // options.reranker: Reranker applied to each user's scores (see reranking.js)
+    // options.diversityVectors: { unitVectors, dim } in which intra-list diversity is measured
+    async evaluate(model, trainItemsByUser, testItemsByUser, { reranker = null, diversityVectors = null } = {}) {
+        const totals = { recall: 0, ndcg: 0, mrr: 0, hitRate: 0, popularity: 0, novelty: 0, diversity: 0 };
+        const recommendedItems = new Set();
+        let numUsers = 0;
+        let numRecommendations = 0;
+        
+        for (const [userIndex, relevant] of testItemsByUser) {
+            if (relevant.size === 0) continue;
+            
+            const userEmbedding = model.getUserEmbedding(userIndex);
+            const scores = await model.getScoresForAllItems(userEmbedding);
+            if (userEmbedding) userEmbedding.dispose();
+            
+            const exclude = trainItemsByUser.get(userIndex);
+            const ranked = reranker
+                ? reranker.rerankScores(scores, this.k, exclude).map(({ index }) => index)
+                : RankingEvaluator.topK(scores, this.k, exclude);
+            const metrics = this.computeUserMetrics(ranked, relevant);
+            
+            totals.recall += metrics.recall;
+            totals.ndcg += metrics.ndcg;
+            totals.mrr += metrics.mrr;
+            totals.hitRate += metrics.hit;
+            totals.novelty += this.novelty(ranked);
+            if (diversityVectors) {
+                totals.diversity += RankingEvaluator.intraListDiversity(ranked, diversityVectors.unitVectors, diversityVectors.dim);
+            }
+            
+            ranked.forEach(itemIndex => {
+                recommendedItems.add(itemIndex);
+                totals.popularity += this.itemCounts[itemIndex];
+            });
+            numRecommendations += ranked.length;
+            numUsers++;
+        }
+        
+        return {
+            numUsers,
+            recall: numUsers ? totals.recall / numUsers : 0,
+            ndcg: numUsers ? totals.ndcg / numUsers : 0,
+            mrr: numUsers ? totals.mrr / numUsers : 0,
+            hitRate: numUsers ? totals.hitRate / numUsers : 0,
+            coverage: recommendedItems.size / this.numItems,
+            avgPopularity: numRecommendations ? totals.popularity / numRecommendations : 0,
+            novelty: numUsers ? totals.novelty / numUsers : 0,
+            diversity: diversityVectors && numUsers ? totals.diversity / numUsers : null
+        };
+    }
+    
+    // Mean self-information -log2(share of training interactions) of a list's items;
+    // higher means less popular, more surprising recommendations
+    novelty(ranked) {
+        if (ranked.length === 0 || this.totalCount === 0) return 0;
+        const total = ranked.reduce((sum, itemIndex) => {
+            return sum - Math.log2(Math.max(this.itemCounts[itemIndex], 1) / this.totalCount);
+        }, 0);
+        return total / ranked.length;
+    }
+    
+    // Mean pairwise cosine distance (1 - cosine) between a list's items
+    static intraListDiversity(ranked, unitVectors, dim) {
+        let distance = 0;
+        let pairs = 0;
+        for (let i = 0; i < ranked.length; i++) {
+            const query = unitVectors.subarray(ranked[i] * dim, (ranked[i] + 1) * dim);
+            for (let j = i + 1; j < ranked.length; j++) {
+                let similarity = 0;
+                for (let d = 0; d < dim; d++) {
+                    similarity += unitVectors[ranked[j] * dim + d] * query[d];
+                }
+                distance += 1 - similarity;
+                pairs++;
+            }
+        }
+        return pairs > 0 ? distance / pairs : 0;
+    }
+    
+    computeUserMetrics(ranked, relevant) {
+        let hits = 0;
+        let dcg = 0;
+        let firstHitRank = 0;
+        
+        ranked.forEach((itemIndex, position) => {
+            if (!relevant.has(itemIndex)) return;
+            hits++;
+            dcg += 1 / Math.log2(position + 2);
+            if (firstHitRank === 0) firstHitRank = position + 1;
+        });
+        
+        // Ideal DCG: all relevant items ranked first
+        let idcg = 0;
+        const idealHits = Math.min(relevant.size, ranked.length);
+        for (let position = 0; position < idealHits; position++) {
+            idcg += 1 / Math.log2(position + 2);
+        }
+        
+        return {
+            recall: hits / relevant.size,
+            ndcg: idcg > 0 ? dcg / idcg : 0,
+            mrr: firstHitRank > 0 ? 1 / firstHitRank : 0,
+            hit: hits > 0 ? 1 : 0
+        };
+    }
+    
+    // Indices of the k highest scores, skipping excluded item indices
+    static topK(scores, k, exclude) {
+        const candidates = [];
+        for (let itemIndex = 0; itemIndex < scores.length; itemIndex++) {
+            if (exclude && exclude.has(itemIndex)) continue;
+            candidates.push(itemIndex);
+        }
+        candidates.sort((a, b) => scores[b] - scores[a]);
+        return candidates.slice(0, k);
+    }
+}
+
+// Explicit rating accuracy for models that predict ratings (rating regression head or matrix factorization)
+class RatingEvaluator {
+    // testRatings: { userIndices, itemIndices, ratings } of held-out interactions
+    static evaluate(model, testRatings, batchSize = 1024) {
+        const { userIndices, itemIndices, ratings } = testRatings;
+        let squaredError = 0;
+        let absoluteError = 0;
+        
+        for (let start = 0; start < ratings.length; start += batchSize) {
+            const end = Math.min(start + batchSize, ratings.length);
+            const predictions = model.predictRatings(userIndices.slice(start, end), itemIndices.slice(start, end));
+            predictions.forEach((prediction, offset) => {
+                const error = prediction - ratings[start + offset];
+                squaredError += error * error;
+                absoluteError += Math.abs(error);
+            });
+        }
+        
+        const count = ratings.length;
+        return {
+            rmse: count ? Math.sqrt(squaredError / count) : 0,
+            mae: count ? absoluteError / count : 0
+        };
+    }
+}
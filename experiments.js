@@ -0,0 +1,125 @@
+// Persistent log of training runs (config, final losses, evaluation metrics, wall time),
+// kept in localStorage so runs can be compared across page reloads.
+class ExperimentLog {
+    static get STORAGE_KEY() {
+        return 'two-tower-experiments';
+    }
+    
+    // Flat columns shown in the table and written to CSV
+    static get COLUMNS() {
+        const metric = (model, name) => run => {
+            const metrics = run.metrics && run.metrics[model];
+            return metrics ? metrics[name] : null;
+        };
+        return [
+            { key: 'startedAt', label: 'Started', value: run => run.startedAt },
+            { key: 'wallTime', label: 'Wall Time (s)', value: run => run.wallTimeMs / 1000 },
+            { key: 'maxInteractions', label: 'Interactions', value: run => run.config.maxInteractions },
+            { key: 'embeddingDim', label: 'Dim', value: run => run.config.embeddingDim },
+            { key: 'hiddenUnits', label: 'Hidden', value: run => (run.config.hiddenUnits || []).join('-') },
+            { key: 'optimizer', label: 'Optimizer', value: run => run.config.optimizer },
+            { key: 'learningRate', label: 'LR', value: run => run.config.learningRate },
+            { key: 'batchSize', label: 'Batch', value: run => run.config.batchSize },
+            { key: 'epochs', label: 'Epochs', value: run => run.config.epochs },
+            { key: 'lrSchedule', label: 'LR Schedule', value: run => run.config.training ? run.config.training.lrSchedule.type : null },
+            {
+                key: 'earlyStopping',
+                label: 'Early Stopping',
+                value: run => run.config.training && run.config.training.earlyStopping.enabled
+                    ? run.config.training.earlyStopping.metric
+                    : 'off'
+            },
+            { key: 'loss', label: 'Loss', value: run => `${run.config.loss.type}/${run.config.loss.negatives}` },
+            { key: 'basicLoss', label: 'Basic Loss', value: run => run.finalLosses.basic },
+            { key: 'deepLoss', label: 'Deep Loss', value: run => run.finalLosses.deep },
+            { key: 'mfLoss', label: 'MF Loss', value: run => run.finalLosses.mf },
+            { key: 'basicRecall', label: 'Basic Recall@K', value: metric('basic', 'recall') },
+            { key: 'deepRecall', label: 'Deep Recall@K', value: metric('deep', 'recall') },
+            { key: 'mfRecall', label: 'MF Recall@K', value: metric('mf', 'recall') },
+            { key: 'basicNdcg', label: 'Basic NDCG@K', value: metric('basic', 'ndcg') },
+            { key: 'deepNdcg', label: 'Deep NDCG@K', value: metric('deep', 'ndcg') },
+            { key: 'mfNdcg', label: 'MF NDCG@K', value: metric('mf', 'ndcg') }
+        ];
+    }
+    
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.runs = this.load();
+    }
+    
+    load() {
+        try {
+            const stored = this.storage.getItem(ExperimentLog.STORAGE_KEY);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.warn('Could not read the experiments log, starting empty:', error);
+            return [];
+        }
+    }
+    
+    save() {
+        this.storage.setItem(ExperimentLog.STORAGE_KEY, JSON.stringify(this.runs));
+    }
+    
+    // Records a finished training run and returns its id
+    add({ config, finalLosses, wallTimeMs }) {
+        const run = {
+            id: `run-${Date.now()}-${this.runs.length}`,
+            startedAt: new Date(Date.now() - wallTimeMs).toISOString(),
+            wallTimeMs,
+            config: JSON.parse(JSON.stringify(config)),
+            finalLosses,
+            metrics: null
+        };
+        this.runs.push(run);
+        this.save();
+        return run.id;
+    }
+    
+    // metrics: { [modelKey]: { recall, ndcg, ... } } from the evaluation of that run's models
+    attachMetrics(id, metrics) {
+        const run = this.runs.find(run => run.id === id);
+        if (!run) return;
+        run.metrics = metrics;
+        this.save();
+    }
+    
+    clear() {
+        this.runs = [];
+        this.save();
+    }
+    
+    // Rows of column values, sorted by one column (missing values last)
+    getRows(sortKey = 'startedAt', ascending = false) {
+        const columns = ExperimentLog.COLUMNS;
+        const sortColumn = columns.find(column => column.key === sortKey) || columns[0];
+        
+        return this.runs
+            .map(run => ({ run, values: columns.map(column => column.value(run)) }))
+            .sort((a, b) => {
+                const x = sortColumn.value(a.run);
+                const y = sortColumn.value(b.run);
+                if (x === null || x === undefined) return 1;
+                if (y === null || y === undefined) return -1;
+                const order = typeof x === 'number' && typeof y === 'number'
+                    ? x - y
+                    : String(x).localeCompare(String(y));
+                return ascending ? order : -order;
+            });
+    }
+    
+    toCSV() {
+        const escape = value => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = ExperimentLog.COLUMNS.map(column => escape(column.label)).join(',');
+        const lines = this.getRows('startedAt', true).map(({ values }) => values.map(escape).join(','));
+        return [header, ...lines].join('\n');
+    }
+    
+    toJSON() {
+        return JSON.stringify(this.runs, null, 2);
+    }
+}
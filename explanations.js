@@ -0,0 +1,81 @@
+// Reasons why a movie was recommended to a user, shown under each recommendation:
+// the user's rated movies that pull the score up, the genres the movie shares with
+// what the user liked, and (deep model) how much each item tower input contributes.
+class RecommendationExplainer {
+    static get DEFAULTS() {
+        return {
+            neutralRating: 3, // as in ColdStartRecommender: ratings above pull towards an item, below push away
+            likedRating: 4, // ratings counted as "liked" for shared genres
+            maxRatedItems: 3
+        };
+    }
+    
+    // Rated items by their share of the score. With the user vector approximated by
+    // the rating-weighted average fold-in, u ≈ mean_j((rating_j - neutral) · v_j), the
+    // score u · v_i splits into one term (rating_j - neutral) · (v_j · v_i) / n per rated item.
+    // vectors: Float32Array of numItems * dim values; rated: [{ itemIndex, rating }]
+    // Returns the largest positive terms as [{ itemIndex, rating, contribution }].
+    static ratedItemContributions(vectors, dim, itemIndex, rated, options = {}) {
+        const { neutralRating, maxRatedItems } = { ...RecommendationExplainer.DEFAULTS, ...options };
+        const query = vectors.subarray(itemIndex * dim, (itemIndex + 1) * dim);
+        
+        return rated
+            .map(({ itemIndex: ratedIndex, rating }) => ({
+                itemIndex: ratedIndex,
+                rating,
+                contribution: (rating - neutralRating) * innerProduct(vectors, ratedIndex * dim, query, dim) / rated.length
+            }))
+            .filter(({ contribution }) => contribution > 0)
+            .sort((a, b) => b.contribution - a.contribution)
+            .slice(0, maxRatedItems);
+    }
+    
+    // Genres of the item that also appear among the user's liked items, most common first.
+    // itemGenres: multi-hot flags; ratedGenres: [{ genres, rating }]
+    // Returns [{ genreIndex, count }] where count is the number of liked items with that genre.
+    static sharedGenres(itemGenres, ratedGenres, options = {}) {
+        const { likedRating } = { ...RecommendationExplainer.DEFAULTS, ...options };
+        const liked = ratedGenres.filter(({ rating }) => rating >= likedRating);
+        
+        return itemGenres
+            .map((flag, genreIndex) => ({
+                genreIndex,
+                count: flag === 1 ? liked.filter(({ genres }) => genres[genreIndex] === 1).length : 0
+            }))
+            .filter(({ count }) => count > 0)
+            .sort((a, b) => b.count - a.count);
+    }
+    
+    // Deep model score split by item tower input: ID embedding, each dense feature
+    // group and the title tokens, from DeepTwoTowerModel.explainItemScore.
+    // featureGroups: [{ name, size }] for the dense feature columns (ItemFeatureBuilder);
+    // when they do not match the model the dense features are reported as one group.
+    // Returns { score, parts: [{ name, value }] } with parts ordered by absolute value.
+    static inputAttribution(model, userIndex, itemIndex, featureGroups = []) {
+        const { score, id, features, title } = model.explainItemScore(userIndex, itemIndex);
+        const sum = (values, start = 0, end = values.length) => {
+            let total = 0;
+            for (let i = start; i < end; i++) total += values[i];
+            return total;
+        };
+        
+        const parts = [{ name: 'ID embedding', value: sum(id) }];
+        if (features) {
+            const groupsMatch = featureGroups.reduce((total, group) => total + group.size, 0) === features.length;
+            if (groupsMatch) {
+                let offset = 0;
+                featureGroups.forEach(({ name, size }) => {
+                    parts.push({ name, value: sum(features, offset, offset + size) });
+                    offset += size;
+                });
+            } else {
+                parts.push({ name: 'item features', value: sum(features) });
+            }
+        }
+        if (title) {
+            parts.push({ name: 'title tokens', value: sum(title) });
+        }
+        
+        return { score, parts: parts.sort((a, b) => Math.abs(b.value) - Math.abs(a.value)) };
+    }
+}
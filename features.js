@@ -0,0 +1,241 @@
+// Item feature pipeline for the deep item tower.
+// Each feature group can be switched off for ablation runs.
+class ItemFeatureBuilder {
+    static get DEFAULTS() {
+        return {
+            genres: true,
+            year: true,
+            titleTokens: true,
+            popularity: true,
+            yearBuckets: 8,
+            titleHashBuckets: 512
+        };
+    }
+    
+    // Common words that carry no signal about the movie
+    static get STOP_WORDS() {
+        return new Set(['the', 'a', 'an', 'of', 'and', 'in', 'on', 'to', 'la', 'le', 'les', 'de', 'el']);
+    }
+    
+    constructor(options = {}) {
+        this.options = { ...ItemFeatureBuilder.DEFAULTS, ...options };
+    }
+    
+    // Returns, per item index:
+    //   dense: concatenated numeric feature groups ([numItems][numFeatures])
+    //   titleTokens: hashed bag-of-words over the title, { values, numBuckets } with values a
+    //     row-major Float32Array of numItems * numBuckets (see buildTitleTokens), or null
+    //   groups: [{ name, size }] describing the columns of dense
+    build({ items, genreMap, numGenres, reverseItemMap, itemCounts }) {
+        const numItems = reverseItemMap.size;
+        const groups = [];
+        const columns = [];
+        
+        if (this.options.genres) {
+            groups.push({ name: 'genres', size: numGenres });
+            columns.push(index => genreMap.get(reverseItemMap.get(index)) || Array(numGenres).fill(0));
+        }
+        
+        if (this.options.year) {
+            const yearFeatures = this.buildYearFeatures(items, reverseItemMap);
+            groups.push({ name: 'year', size: yearFeatures.size });
+            columns.push(index => yearFeatures.rows[index]);
+        }
+        
+        if (this.options.popularity) {
+            // Log-popularity, scaled to [0, 1]
+            const maxLog = Math.log1p(itemCounts.reduce((max, count) => Math.max(max, count), 0)) || 1;
+            groups.push({ name: 'popularity', size: 1 });
+            columns.push(index => [Math.log1p(itemCounts[index]) / maxLog]);
+        }
+        
+        const dense = [];
+        for (let index = 0; index < numItems; index++) {
+            dense.push([].concat(...columns.map(column => column(index))));
+        }
+        
+        const titleTokens = this.options.titleTokens
+            ? this.buildTitleTokens(items, reverseItemMap)
+            : null;
+        
+        return { dense, titleTokens, groups };
+    }
+    
+    // Normalised year, one-hot year bucket and a missing-year flag
+    buildYearFeatures(items, reverseItemMap) {
+        const numBuckets = this.options.yearBuckets;
+        const years = Array.from({ length: reverseItemMap.size }, (_, index) => {
+            const item = items.get(reverseItemMap.get(index));
+            return item && item.year ? item.year : null;
+        });
+        
+        const known = years.filter(year => year !== null);
+        const minYear = known.reduce((min, year) => Math.min(min, year), known.length ? Infinity : 0);
+        const maxYear = known.reduce((max, year) => Math.max(max, year), known.length ? -Infinity : 0);
+        const range = maxYear - minYear || 1;
+        
+        const rows = years.map(year => {
+            const row = Array(numBuckets + 2).fill(0);
+            if (year === null) {
+                row[numBuckets + 1] = 1;
+                return row;
+            }
+            const normalized = (year - minYear) / range;
+            row[0] = normalized;
+            row[1 + Math.min(Math.floor(normalized * numBuckets), numBuckets - 1)] = 1;
+            return row;
+        });
+        
+        return { rows, size: numBuckets + 2 };
+    }
+    
+    // Mean-pooled multi-hot over hashed title tokens, one flat typed array so large
+    // catalogs do not need numItems nested arrays of numBuckets values
+    buildTitleTokens(items, reverseItemMap) {
+        const numBuckets = this.options.titleHashBuckets;
+        const values = new Float32Array(reverseItemMap.size * numBuckets);
+        
+        for (let index = 0; index < reverseItemMap.size; index++) {
+            const item = items.get(reverseItemMap.get(index));
+            const tokens = item ? ItemFeatureBuilder.tokenize(item.title) : [];
+            
+            tokens.forEach(token => {
+                values[index * numBuckets + ItemFeatureBuilder.hash(token) % numBuckets] += 1 / tokens.length;
+            });
+        }
+        
+        return { values, numBuckets };
+    }
+    
+    static tokenize(title) {
+        return title
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(token => (token.length > 1 || /\d/.test(token)) && !ItemFeatureBuilder.STOP_WORDS.has(token));
+    }
+    
+    // 32-bit FNV-1a
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+// User tower side features: demographics from u.user and interaction history.
+// The ID embedding itself is toggled on the model (useUserIdEmbedding option, see Trainer.createModels).
+class UserFeatureBuilder {
+    static get DEFAULTS() {
+        return {
+            idEmbedding: true,
+            demographics: true,
+            history: true,
+            historyLength: 20
+        };
+    }
+    
+    // MovieLens age groups
+    static get AGE_BUCKETS() {
+        return [18, 25, 35, 45, 50, 56];
+    }
+    
+    constructor(options = {}) {
+        this.options = { ...UserFeatureBuilder.DEFAULTS, ...options };
+    }
+    
+    // users: Map<userId, { age, gender, occupation, zip }> parsed from u.user (may be empty)
+    // Returns, per user index:
+    //   dense: demographic features ([numUsers][size]) or null
+    //   history: { indices, mask } of recent training items ([numUsers][historyLength]) or null
+    // table: the InteractionTable, userRows: training rows per user ID,
+    // tableItemIndex: model item index per table item index
+    build({ users, table, userRows, userMap, tableItemIndex, reverseUserMap }) {
+        const dense = this.options.demographics && users.size > 0
+            ? this.buildDemographics(users, reverseUserMap).rows
+            : null;
+        
+        const history = this.options.history
+            ? this.buildHistory(table, userRows, userMap, tableItemIndex)
+            : null;
+        
+        return { dense, history };
+    }
+    
+    // Normalised age, age bucket, gender, occupation and zip-prefix one-hots,
+    // plus a missing-profile flag
+    buildDemographics(users, reverseUserMap) {
+        const occupations = Array.from(new Set(Array.from(users.values()).map(user => user.occupation))).sort();
+        const occupationIndex = new Map(occupations.map((occupation, index) => [occupation, index]));
+        const ageBuckets = UserFeatureBuilder.AGE_BUCKETS;
+        const ages = Array.from(users.values()).map(user => user.age);
+        const maxAge = ages.reduce((max, age) => Math.max(max, age), 1);
+        
+        // 1 age + (buckets + 1) + 2 gender + occupations + 11 zip prefixes + 1 missing flag
+        const size = 1 + (ageBuckets.length + 1) + 2 + occupations.length + 11 + 1;
+        const rows = [];
+        
+        for (let userIndex = 0; userIndex < reverseUserMap.size; userIndex++) {
+            const row = Array(size).fill(0);
+            const user = users.get(reverseUserMap.get(userIndex));
+            
+            if (!user) {
+                row[size - 1] = 1;
+                rows.push(row);
+                continue;
+            }
+            
+            let offset = 0;
+            row[offset++] = user.age / maxAge;
+            
+            const bucket = ageBuckets.findIndex(limit => user.age < limit);
+            row[offset + (bucket === -1 ? ageBuckets.length : bucket)] = 1;
+            offset += ageBuckets.length + 1;
+            
+            if (user.gender === 'M') row[offset] = 1;
+            if (user.gender === 'F') row[offset + 1] = 1;
+            offset += 2;
+            
+            row[offset + occupationIndex.get(user.occupation)] = 1;
+            offset += occupations.length;
+            
+            // First zip digit, or a shared slot for non-US / malformed codes
+            const prefix = /^\d/.test(user.zip) ? parseInt(user.zip[0]) : 10;
+            row[offset + prefix] = 1;
+            
+            rows.push(row);
+        }
+        
+        return { rows, size, occupations };
+    }
+    
+    // Item indices of each user's most recent training interactions, padded to
+    // historyLength, with a mask marking the real entries. The deep model drops the
+    // item of each training example from its history (DeepTwoTowerModel.poolHistory).
+    buildHistory(table, userRows, userMap, tableItemIndex) {
+        const historyLength = this.options.historyLength;
+        const indices = [];
+        const mask = [];
+        
+        for (let userIndex = 0; userIndex < userMap.size; userIndex++) {
+            indices.push(Array(historyLength).fill(0));
+            mask.push(Array(historyLength).fill(0));
+        }
+        
+        userRows.forEach((rows, userId) => {
+            const userIndex = userMap.get(userId);
+            const recent = Int32Array.from(rows)
+                .sort((a, b) => table.timestamps[b] - table.timestamps[a])
+                .subarray(0, historyLength);
+            
+            recent.forEach((row, position) => {
+                indices[userIndex][position] = tableItemIndex[table.items[row]];
+                mask[userIndex][position] = 1;
+            });
+        });
+        
+        return { indices, mask };
+    }
+}
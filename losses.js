@@ -0,0 +1,236 @@
+// Retrieval losses and negative sampling shared by both towers.
+
+// Weighted mean of per-example values; plain mean when no weights are given
+function weightedMean(values, weights) {
+    if (!weights) return tf.mean(values);
+    return tf.div(tf.sum(tf.mul(values, weights)), tf.maximum(tf.sum(weights), 1e-8));
+}
+
+// Retrieval loss options:
+//   type: 'softmax' | 'bpr'
+//   negatives: 'in-batch' | 'uniform' | 'popularity' (sampled from the full catalog)
+//   numNegatives: sampled negatives per batch (shared by all rows)
+//   temperature: logits are divided by this value
+//   logQCorrection: subtract log sampling probability from logits (softmax only)
+//   maskInBatchPositives: ignore negatives that are actually the row's own positive item
+class RetrievalLoss {
+    static get DEFAULTS() {
+        return {
+            type: 'softmax',
+            negatives: 'in-batch',
+            numNegatives: 256,
+            temperature: 1.0,
+            logQCorrection: false,
+            maskInBatchPositives: true
+        };
+    }
+    
+    // itemCounts: training interaction count per item index (needed for popularity
+    // sampling and logQ correction)
+    constructor(options = {}, itemCounts = null) {
+        this.options = { ...RetrievalLoss.DEFAULTS, ...options };
+        this.itemCounts = itemCounts;
+        this.logQ = null;
+        this.cdf = null;
+        
+        const needsPopularity = this.options.negatives !== 'uniform' &&
+            (this.options.logQCorrection || this.options.negatives === 'popularity');
+        if (needsPopularity && !itemCounts) {
+            throw new Error('Item counts are required for popularity sampling and logQ correction');
+        }
+        
+        if (itemCounts) {
+            // Smoothed popularity distribution, so unseen items keep a small probability
+            const total = itemCounts.reduce((sum, count) => sum + count + 1, 0);
+            const logProbs = new Float32Array(itemCounts.length);
+            this.cdf = new Float64Array(itemCounts.length);
+            let cumulative = 0;
+            itemCounts.forEach((count, index) => {
+                const probability = (count + 1) / total;
+                logProbs[index] = Math.log(probability);
+                cumulative += probability;
+                this.cdf[index] = cumulative;
+            });
+            this.logQ = tf.keep(tf.tensor1d(logProbs));
+        }
+    }
+    
+    get usesSampledNegatives() {
+        return this.options.negatives === 'uniform' || this.options.negatives === 'popularity';
+    }
+    
+    // Negative item indices for one batch, or null for in-batch negatives
+    sampleNegatives(numItems) {
+        if (!this.usesSampledNegatives) return null;
+        
+        const count = this.options.numNegatives;
+        const negatives = new Int32Array(count);
+        for (let i = 0; i < count; i++) {
+            negatives[i] = this.options.negatives === 'popularity'
+                ? this.sampleByPopularity()
+                : Math.floor(Math.random() * numItems);
+        }
+        return tf.tensor1d(negatives, 'int32');
+    }
+    
+    // Binary search over the cumulative popularity distribution
+    sampleByPopularity() {
+        const target = Math.random() * this.cdf[this.cdf.length - 1];
+        let low = 0;
+        let high = this.cdf.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.cdf[mid] < target) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+    
+    // userEmbs, itemEmbs: [batch, dim] tower outputs for the positive pairs
+    // itemIndices: [batch] int32 positive item indices
+    // negativeEmbs, negativeIndices: sampled negatives (null for in-batch)
+    // weights: optional [batch] per-example loss weights
+    compute({ userEmbs, itemEmbs, itemIndices, negativeEmbs = null, negativeIndices = null, weights = null }) {
+        return tf.tidy(() => {
+            const { candidateLogits, positiveLogits, validMask, logQ } = this.usesSampledNegatives
+                ? this.sampledLogits(userEmbs, itemEmbs, itemIndices, negativeEmbs, negativeIndices)
+                : this.inBatchLogits(userEmbs, itemEmbs, itemIndices);
+            
+            const perExample = this.options.type === 'bpr'
+                ? this.bprLoss(positiveLogits, candidateLogits, validMask)
+                : this.softmaxLoss(positiveLogits, candidateLogits, validMask, logQ);
+            
+            return weightedMean(perExample, weights);
+        });
+    }
+    
+    // Every other item in the batch is a negative for each row
+    inBatchLogits(userEmbs, itemEmbs, itemIndices) {
+        const temperature = this.options.temperature;
+        const batchSize = userEmbs.shape[0];
+        
+        const logits = tf.div(tf.matMul(userEmbs, itemEmbs, false, true), temperature);
+        const positiveLogits = tf.div(tf.sum(tf.mul(userEmbs, itemEmbs), -1, true), temperature);
+        
+        // Off-diagonal cells are negatives unless the same item appears twice in the batch
+        const offDiagonal = tf.sub(1, tf.eye(batchSize));
+        let validMask = offDiagonal;
+        if (this.options.maskInBatchPositives) {
+            const sameItem = tf.cast(
+                tf.equal(itemIndices.expandDims(1), itemIndices.expandDims(0)),
+                'float32'
+            );
+            validMask = tf.mul(offDiagonal, tf.sub(1, sameItem));
+        }
+        
+        const logQ = this.options.logQCorrection
+            ? { positive: tf.gather(this.logQ, itemIndices).expandDims(1), negative: tf.gather(this.logQ, itemIndices).expandDims(0) }
+            : null;
+        
+        return { candidateLogits: logits, positiveLogits, validMask, logQ };
+    }
+    
+    // Negatives sampled from the whole catalog, shared across the batch
+    sampledLogits(userEmbs, itemEmbs, itemIndices, negativeEmbs, negativeIndices) {
+        const temperature = this.options.temperature;
+        
+        const logits = tf.div(tf.matMul(userEmbs, negativeEmbs, false, true), temperature);
+        const positiveLogits = tf.div(tf.sum(tf.mul(userEmbs, itemEmbs), -1, true), temperature);
+        
+        let validMask = tf.onesLike(logits);
+        if (this.options.maskInBatchPositives) {
+            const sameItem = tf.cast(
+                tf.equal(itemIndices.expandDims(1), negativeIndices.expandDims(0)),
+                'float32'
+            );
+            validMask = tf.sub(1, sameItem);
+        }
+        
+        // Uniform sampling has a constant proposal probability, so logQ cancels out
+        const logQ = this.options.logQCorrection && this.options.negatives === 'popularity'
+            ? { positive: tf.gather(this.logQ, itemIndices).expandDims(1), negative: tf.gather(this.logQ, negativeIndices).expandDims(0) }
+            : null;
+        
+        return { candidateLogits: logits, positiveLogits, validMask, logQ };
+    }
+    
+    // Softmax over [positive, valid negatives] with the positive as the label
+    softmaxLoss(positiveLogits, candidateLogits, validMask, logQ) {
+        let positive = positiveLogits;
+        let negatives = candidateLogits;
+        if (logQ) {
+            positive = tf.sub(positive, logQ.positive);
+            negatives = tf.sub(negatives, logQ.negative);
+        }
+        
+        // Invalid negatives get a large negative logit so they drop out of the softmax
+        negatives = tf.add(negatives, tf.mul(tf.sub(1, validMask), -1e9));
+        
+        const logits = tf.concat([positive, negatives], 1);
+        return tf.neg(tf.squeeze(tf.sub(positive, tf.logSumExp(logits, 1, true)), [1]));
+    }
+    
+    // Pairwise BPR: -log sigmoid(positive - negative), averaged over valid negatives
+    bprLoss(positiveLogits, candidateLogits, validMask) {
+        const diff = tf.sub(positiveLogits, candidateLogits);
+        // softplus(-x) == -log(sigmoid(x)), without logSigmoid's tidy-unsafe custom gradient
+        const pairLoss = tf.mul(tf.softplus(tf.neg(diff)), validMask);
+        return tf.div(tf.sum(pairLoss, 1), tf.maximum(tf.sum(validMask, 1), 1));
+    }
+    
+    dispose() {
+        if (this.logQ) {
+            this.logQ.dispose();
+            this.logQ = null;
+        }
+    }
+}
+
+// Explicit rating objective: predicts the star rating from the tower dot product
+// as scale * (user · item) + bias, trained with (weighted) squared error.
+class RatingRegressionHead {
+    constructor(globalMean = 3.5) {
+        this.scale = tf.variable(tf.scalar(1), true);
+        this.bias = tf.variable(tf.scalar(globalMean), true);
+    }
+    
+    get usesSampledNegatives() {
+        return false;
+    }
+    
+    sampleNegatives() {
+        return null;
+    }
+    
+    predict(userEmbs, itemEmbs) {
+        return tf.add(tf.mul(tf.sum(tf.mul(userEmbs, itemEmbs), -1), this.scale), this.bias);
+    }
+    
+    // ratings: [batch] star ratings; weights: optional [batch] per-example loss weights
+    compute({ userEmbs, itemEmbs, ratings, weights = null }) {
+        return tf.tidy(() => {
+            const squaredErrors = tf.square(tf.sub(this.predict(userEmbs, itemEmbs), ratings));
+            return weightedMean(squaredErrors, weights);
+        });
+    }
+    
+    getWeightMap() {
+        return {
+            'rating_head/scale': this.scale,
+            'rating_head/bias': this.bias
+        };
+    }
+    
+    setWeightMap(weights) {
+        this.scale.assign(weights['rating_head/scale']);
+        this.bias.assign(weights['rating_head/bias']);
+    }
+    
+    dispose() {
+        this.scale.dispose();
+        this.bias.dispose();
+    }
+}
@@ -0,0 +1,185 @@
+// Classical baseline for the two towers: biased matrix factorization ("SVD" in the
+// Netflix-prize sense), r̂ = μ + b_u + b_i + p_u · q_i, fit to the observed ratings by
+// squared error with L2 regularisation. It exposes the same interface as the towers
+// (trainStep, getUserEmbedding, getScoresForAllItems, getItemEmbeddings, ...) so the
+// trainer, loss chart, retrieval and evaluation treat it like any other model.
+//
+// For retrieval the item bias rides along as an extra coordinate: item outputs are
+// [q_i, b_i] and user embeddings [p_u, 1], so their dot product ranks items exactly
+// as the predicted rating does (μ + b_u is the same for all of a user's items).
+class MatrixFactorizationModel {
+    // options.globalMean: μ, the mean training rating
+    // options.regularization: L2 weight on the factors and biases of each batch
+    // options.optimizer / options.learningRate: see createOptimizer (Adam, 0.001 by default)
+    constructor(numUsers, numItems, embeddingDim, options = {}) {
+        this.numUsers = numUsers;
+        this.numItems = numItems;
+        this.embeddingDim = embeddingDim;
+        this.globalMean = options.globalMean !== undefined ? options.globalMean : 3.5;
+        this.regularization = options.regularization !== undefined ? options.regularization : 0.02;
+        this.instanceId = modelInstanceCount++;
+        
+        this.userFactors = tf.variable(
+            tf.randomNormal([numUsers, embeddingDim], 0, 0.05),
+            true,
+            `mf_user_factors_${this.instanceId}`
+        );
+        this.itemFactors = tf.variable(
+            tf.randomNormal([numItems, embeddingDim], 0, 0.05),
+            true,
+            `mf_item_factors_${this.instanceId}`
+        );
+        this.userBias = tf.variable(tf.zeros([numUsers, 1]), true, `mf_user_bias_${this.instanceId}`);
+        this.itemBias = tf.variable(tf.zeros([numItems, 1]), true, `mf_item_bias_${this.instanceId}`);
+        
+        // Cached [q_i, b_i] for all items, rebuilt after training
+        this.itemOutputCache = null;
+        
+        this.optimizer = createOptimizer(options.optimizer, options.learningRate);
+    }
+    
+    // Predicted ratings for paired user and item index tensors
+    predict(userTensor, itemTensor) {
+        const dot = tf.sum(tf.mul(tf.gather(this.userFactors, userTensor), tf.gather(this.itemFactors, itemTensor)), -1);
+        const biases = tf.add(tf.gather(this.userBias, userTensor), tf.gather(this.itemBias, itemTensor)).squeeze([1]);
+        return tf.add(tf.add(dot, biases), this.globalMean);
+    }
+    
+    // ratings are required: the model is fit to star ratings, not to implicit feedback
+    async trainStep(userIndices, itemIndices, { ratings = null, weights = null } = {}) {
+        // Parameters change, so any cached item outputs are stale
+        this.clearItemOutputCache();
+        
+        return await tf.tidy(() => {
+            const batch = this.batchTensors(userIndices, itemIndices, ratings, weights);
+            const { value, grads } = this.optimizer.computeGradients(() => this.batchLoss(batch));
+            this.optimizer.applyGradients(grads);
+            return value.dataSync()[0];
+        });
+    }
+    
+    // Loss on a batch without updating parameters, e.g. for validation
+    evaluateLoss(userIndices, itemIndices, { ratings = null, weights = null } = {}) {
+        return tf.tidy(() => {
+            return this.batchLoss(this.batchTensors(userIndices, itemIndices, ratings, weights)).dataSync()[0];
+        });
+    }
+    
+    // Index, rating and weight tensors for one batch
+    batchTensors(userIndices, itemIndices, ratings, weights) {
+        if (!ratings) {
+            throw new Error('Matrix factorization needs star ratings for every training example');
+        }
+        return {
+            userTensor: tf.tensor1d(userIndices, 'int32'),
+            itemTensor: tf.tensor1d(itemIndices, 'int32'),
+            ratingTensor: tf.tensor1d(ratings),
+            weightTensor: weights ? tf.tensor1d(weights) : null
+        };
+    }
+    
+    // Weighted mean squared error plus L2 on the factors and biases the batch touches
+    batchLoss({ userTensor, itemTensor, ratingTensor, weightTensor }) {
+        const squaredErrors = tf.square(tf.sub(this.predict(userTensor, itemTensor), ratingTensor));
+        const penalty = tf.addN([
+            tf.sum(tf.square(tf.gather(this.userFactors, userTensor)), -1),
+            tf.sum(tf.square(tf.gather(this.itemFactors, itemTensor)), -1),
+            tf.square(tf.gather(this.userBias, userTensor)).squeeze([1]),
+            tf.square(tf.gather(this.itemBias, itemTensor)).squeeze([1])
+        ]);
+        return tf.add(weightedMean(squaredErrors, weightTensor), tf.mul(tf.mean(penalty), this.regularization));
+    }
+    
+    setLearningRate(learningRate) {
+        setOptimizerLearningRate(this.optimizer, learningRate);
+    }
+    
+    canPredictRatings() {
+        return true;
+    }
+    
+    predictRatings(userIndices, itemIndices) {
+        return tf.tidy(() => {
+            return this.predict(tf.tensor1d(userIndices, 'int32'), tf.tensor1d(itemIndices, 'int32')).dataSync();
+        });
+    }
+    
+    // [p_u, 1], matching the [q_i, b_i] item outputs
+    getUserEmbedding(userIndex) {
+        return tf.tidy(() => {
+            return tf.concat([tf.gather(this.userFactors, [userIndex]).squeeze([0]), tf.ones([1])]);
+        });
+    }
+    
+    async getScoresForAllItems(userEmbedding) {
+        const itemOutputs = this.getItemTowerOutputs();
+        return await tf.tidy(() => {
+            return tf.dot(itemOutputs, userEmbedding).dataSync();
+        });
+    }
+    
+    // Item factors q_i without the bias column
+    getItemEmbeddings() {
+        return this.itemFactors;
+    }
+    
+    // Item factors with the item bias appended, kept until the next update
+    precomputeItemOutputs() {
+        this.clearItemOutputCache();
+        this.itemOutputCache = tf.tidy(() => {
+            return tf.concat([this.itemFactors, this.itemBias], 1);
+        });
+        return this.itemOutputCache;
+    }
+    
+    clearItemOutputCache() {
+        if (this.itemOutputCache) {
+            this.itemOutputCache.dispose();
+            this.itemOutputCache = null;
+        }
+    }
+    
+    // Retrieval vectors for every item index: [numItems, embeddingDim + 1]
+    getItemTowerOutputs() {
+        return this.itemOutputCache || this.precomputeItemOutputs();
+    }
+    
+    getConfig() {
+        return {
+            type: 'mf',
+            numUsers: this.numUsers,
+            numItems: this.numItems,
+            embeddingDim: this.embeddingDim,
+            globalMean: this.globalMean,
+            regularization: this.regularization
+        };
+    }
+    
+    // Named weight tensors, used for saving and restoring the model. The factor tables use
+    // the towers' embedding names so ModelIO remaps their rows by ID the same way.
+    getWeightMap() {
+        return {
+            user_embeddings: this.userFactors,
+            item_embeddings: this.itemFactors,
+            user_bias: this.userBias,
+            item_bias: this.itemBias
+        };
+    }
+    
+    setWeightMap(weights) {
+        this.clearItemOutputCache();
+        this.userFactors.assign(weights.user_embeddings);
+        this.itemFactors.assign(weights.item_embeddings);
+        this.userBias.assign(weights.user_bias);
+        this.itemBias.assign(weights.item_bias);
+    }
+    
+    dispose() {
+        this.clearItemOutputCache();
+        this.userFactors.dispose();
+        this.itemFactors.dispose();
+        this.userBias.dispose();
+        this.itemBias.dispose();
+        this.optimizer.dispose();
+    }
+}
@@ -0,0 +1,304 @@
+// Saving and loading trained models (both towers and the matrix factorization baseline).
+// A bundle is { manifest, weightData }: the manifest is plain JSON (model config,
+// optimizer config, index mappings, weight specs) and weightData is the binary
+// weight buffer produced by tf.io.encodeWeights.
+class ModelIO {
+    static get FORMAT() {
+        return 'two-tower-recommender';
+    }
+    
+    static get VERSION() {
+        return 1;
+    }
+    
+    static get DB_NAME() {
+        return 'two-tower-recommender';
+    }
+    
+    static get STORE_NAME() {
+        return 'models';
+    }
+    
+    // Below this share of current users/items found in a saved bundle, loading is refused
+    static get MIN_OVERLAP() {
+        return 0.5;
+    }
+    
+    // context: { reverseUserMap, reverseItemMap, config }
+    static async serialize(model, context) {
+        const { data, specs } = await tf.io.encodeWeights(model.getWeightMap());
+        
+        const manifest = {
+            format: ModelIO.FORMAT,
+            version: ModelIO.VERSION,
+            savedAt: new Date().toISOString(),
+            model: model.getConfig(),
+            optimizer: {
+                className: model.optimizer.getClassName(),
+                config: model.optimizer.getConfig()
+            },
+            config: context.config,
+            userIds: ModelIO.orderedIds(context.reverseUserMap),
+            itemIds: ModelIO.orderedIds(context.reverseItemMap),
+            weightSpecs: specs
+        };
+        
+        return { manifest, weightData: data };
+    }
+    
+    // context: { userMap, itemMap, itemFeatures, titleTokens, userFeatures, userHistory }
+    static deserialize(bundle, context) {
+        const { manifest, weightData } = bundle;
+        ModelIO.validateManifest(manifest);
+        
+        const numUsers = context.userMap.size;
+        const numItems = context.itemMap.size;
+        const modelConfig = manifest.model;
+        
+        // Match saved rows to the currently loaded dataset by raw ID
+        const userRemap = ModelIO.buildRemap(manifest.userIds, context.userMap, 'users');
+        const itemRemap = ModelIO.buildRemap(manifest.itemIds, context.itemMap, 'items');
+        
+        if (!['basic', 'deep', 'mf'].includes(modelConfig.type)) {
+            throw new Error(`Unknown model type "${modelConfig.type}"`);
+        }
+        
+        if (modelConfig.type === 'deep') {
+            const numItemFeatures = context.itemFeatures.length > 0 ? context.itemFeatures[0].length : 0;
+            const numTitleBuckets = context.titleTokens && context.titleTokens.values.length > 0 ? context.titleTokens.numBuckets : 0;
+            if (numItemFeatures !== modelConfig.numItemFeatures || numTitleBuckets !== modelConfig.numTitleBuckets) {
+                throw new Error(`Saved deep model expects ${modelConfig.numItemFeatures} item features and ${modelConfig.numTitleBuckets} title buckets, ` +
+                    `current feature settings give ${numItemFeatures} and ${numTitleBuckets}`);
+            }
+            
+            const numUserFeatures = context.userFeatures && context.userFeatures.length > 0 ? context.userFeatures[0].length : 0;
+            const historyLength = context.userHistory && context.userHistory.indices.length > 0 ? context.userHistory.indices[0].length : 0;
+            if (numUserFeatures !== (modelConfig.numUserFeatures || 0) || historyLength !== (modelConfig.historyLength || 0)) {
+                throw new Error(`Saved deep model expects ${modelConfig.numUserFeatures} user features and history length ${modelConfig.historyLength}, ` +
+                    `current feature settings give ${numUserFeatures} and ${historyLength}`);
+            }
+        }
+        
+        const saved = tf.io.decodeWeights(weightData, manifest.weightSpecs);
+        
+        // Per-user and per-item rows follow the ID remapping; matrix factorization
+        // also keeps one bias row per user and item
+        const userTables = ['user_embeddings', 'user_bias'].filter(name => saved[name]);
+        const itemTables = ['item_embeddings', 'item_bias'].filter(name => saved[name]);
+        const remappedTables = [];
+        const options = {
+            titleTokens: context.titleTokens,
+            userFeatures: context.userFeatures,
+            userHistory: context.userHistory,
+            useUserIdEmbedding: modelConfig.useUserIdEmbedding,
+            hiddenUnits: modelConfig.hiddenUnits
+        };
+        let model = null;
+        
+        try {
+            // Models trained for rating prediction carry their regression head weights
+            if (saved['rating_head/bias']) {
+                options.loss = new RatingRegressionHead();
+            }
+            
+            model = ModelIO.createModel(modelConfig, numUsers, numItems, context, options);
+            
+            const weights = { ...saved };
+            userTables.forEach(name => {
+                weights[name] = ModelIO.remapRows(saved[name], userRemap);
+                remappedTables.push(weights[name]);
+            });
+            itemTables.forEach(name => {
+                weights[name] = ModelIO.remapRows(saved[name], itemRemap);
+                remappedTables.push(weights[name]);
+            });
+            model.setWeightMap(weights);
+        } catch (error) {
+            // The model owns the regression head once it has been created
+            if (model) {
+                model.dispose();
+            } else if (options.loss) {
+                options.loss.dispose();
+            }
+            throw error;
+        } finally {
+            Object.values(saved).forEach(tensor => tensor.dispose());
+            remappedTables.forEach(tensor => tensor.dispose());
+        }
+        
+        model.optimizer.dispose();
+        model.optimizer = ModelIO.createOptimizer(manifest.optimizer);
+        
+        return { model, remapped: !userRemap.identity || !itemRemap.identity };
+    }
+    
+    static createModel(modelConfig, numUsers, numItems, context, options) {
+        switch (modelConfig.type) {
+            case 'deep':
+                return new DeepTwoTowerModel(numUsers, numItems, modelConfig.embeddingDim, context.itemFeatures, options);
+            case 'mf':
+                return new MatrixFactorizationModel(numUsers, numItems, modelConfig.embeddingDim, {
+                    globalMean: modelConfig.globalMean,
+                    regularization: modelConfig.regularization
+                });
+            default:
+                return new BasicTwoTowerModel(numUsers, numItems, modelConfig.embeddingDim, options);
+        }
+    }
+    
+    static validateManifest(manifest) {
+        if (!manifest || manifest.format !== ModelIO.FORMAT) {
+            throw new Error('Not a two-tower model bundle');
+        }
+        if (manifest.version !== ModelIO.VERSION) {
+            throw new Error(`Unsupported bundle version ${manifest.version}`);
+        }
+    }
+    
+    static orderedIds(reverseMap) {
+        return Array.from({ length: reverseMap.size }, (_, index) => reverseMap.get(index));
+    }
+    
+    // For every current index, the saved row index holding the same raw ID (-1 if none)
+    static buildRemap(savedIds, currentMap, label) {
+        const savedIndex = new Map(savedIds.map((id, index) => [id, index]));
+        const indices = new Int32Array(currentMap.size).fill(-1);
+        let matched = 0;
+        let identity = savedIds.length === currentMap.size;
+        
+        currentMap.forEach((index, id) => {
+            if (!savedIndex.has(id)) {
+                identity = false;
+                return;
+            }
+            indices[index] = savedIndex.get(id);
+            if (indices[index] !== index) identity = false;
+            matched++;
+        });
+        
+        if (currentMap.size > 0 && matched / currentMap.size < ModelIO.MIN_OVERLAP) {
+            throw new Error(`Saved model does not match the loaded dataset: only ${matched} of ${currentMap.size} ${label} found`);
+        }
+        
+        return { indices, matched, identity };
+    }
+    
+    // Reorder saved embedding rows into the current index order;
+    // IDs the saved model has never seen get a fresh random row
+    static remapRows(savedTable, remap) {
+        return tf.tidy(() => {
+            if (remap.identity) return savedTable.clone();
+            
+            const numRows = remap.indices.length;
+            const dim = savedTable.shape[1];
+            const gatherIndices = Array.from(remap.indices, index => Math.max(index, 0));
+            const found = Array.from(remap.indices, index => index >= 0);
+            
+            const gathered = tf.gather(savedTable, tf.tensor1d(gatherIndices, 'int32'));
+            const fresh = tf.randomNormal([numRows, dim], 0, 0.05);
+            const mask = tf.tensor2d(found, [numRows, 1], 'bool').tile([1, dim]);
+            return tf.where(mask, gathered, fresh);
+        });
+    }
+    
+    static createOptimizer({ className, config }) {
+        switch (className) {
+            case 'Adam':
+                return tf.train.adam(config.learningRate, config.beta1, config.beta2, config.epsilon);
+            case 'SGD':
+                return tf.train.sgd(config.learningRate);
+            case 'Adagrad':
+                return tf.train.adagrad(config.learningRate, config.initialAccumulatorValue);
+            case 'RMSProp':
+                return tf.train.rmsprop(config.learningRate, config.decay, config.momentum, config.epsilon, config.centered);
+            default:
+                throw new Error(`Unsupported optimizer "${className}"`);
+        }
+    }
+    
+    // IndexedDB storage, one record per model key
+    static openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(ModelIO.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(ModelIO.STORE_NAME);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    static async saveToIndexedDB(key, bundle) {
+        const db = await ModelIO.openDatabase();
+        try {
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction(ModelIO.STORE_NAME, 'readwrite');
+                transaction.objectStore(ModelIO.STORE_NAME).put(bundle, key);
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+    
+    static async loadFromIndexedDB(key) {
+        const db = await ModelIO.openDatabase();
+        try {
+            return await new Promise((resolve, reject) => {
+                const request = db.transaction(ModelIO.STORE_NAME, 'readonly')
+                    .objectStore(ModelIO.STORE_NAME)
+                    .get(key);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+    
+    // Download as <name>.json (manifest) + <name>.weights.bin (weights)
+    static download(name, bundle) {
+        const weightsFile = `${name}.weights.bin`;
+        const manifest = { ...bundle.manifest, weightsFile };
+        
+        ModelIO.downloadBlob(`${name}.json`, new Blob([JSON.stringify(manifest)], { type: 'application/json' }));
+        ModelIO.downloadBlob(weightsFile, new Blob([bundle.weightData], { type: 'application/octet-stream' }));
+    }
+    
+    static downloadBlob(fileName, blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    // Pair uploaded manifest files with their weight files
+    static async readUploadedFiles(files) {
+        const fileList = Array.from(files);
+        const byName = new Map(fileList.map(file => [file.name, file]));
+        const bundles = [];
+        
+        for (const file of fileList.filter(f => f.name.endsWith('.json'))) {
+            const manifest = JSON.parse(await file.text());
+            ModelIO.validateManifest(manifest);
+            
+            const weightsFile = byName.get(manifest.weightsFile);
+            if (!weightsFile) {
+                throw new Error(`Missing weights file "${manifest.weightsFile}" for ${file.name}`);
+            }
+            
+            bundles.push({ manifest, weightData: await weightsFile.arrayBuffer() });
+        }
+        
+        if (bundles.length === 0) {
+            throw new Error('No model manifest (.json) selected');
+        }
+        
+        return bundles;
+    }
+}
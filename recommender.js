@@ -0,0 +1,632 @@
+// Everything the recommender does apart from the page: dataset preparation and
+// splitting, index mappings, training data, the trained models with their retrieval
+// indexes, recommendations and offline evaluation. Nothing here touches the DOM:
+// MovieLensApp adds the browser UI on top and cli.js runs the same steps under Node.
+class RecommenderPipeline {
+    // Models trained side by side (keys as in Trainer.createModels), in display order
+    static get MODELS() {
+        return [
+            { key: 'basic', name: 'Basic Two-Tower', label: 'Basic', color: '#007acc', itemSpace: 'item embeddings' },
+            { key: 'deep', name: 'Deep Learning Two-Tower', label: 'Deep', color: '#28a745', itemSpace: 'item tower output' },
+            { key: 'mf', name: 'Matrix Factorization (biased SVD)', label: 'MF', color: '#d35400', itemSpace: 'item factors and bias' }
+        ];
+    }
+    
+    // Default settings, a fresh copy per call since the settings panel and CLI flags edit them in place
+    static defaultConfig() {
+        return {
+            // Files are fetched from baseUrl (relative to the page; a directory for cli.js); see datasets.js for each format's file names
+            dataset: {
+                format: 'ml-100k', // 'ml-100k' | 'ml-1m' | 'ml-latest'
+                baseUrl: ''
+            },
+            maxInteractions: 80000,
+            embeddingDim: 32,
+            batchSize: 512,
+            epochs: 20,
+            learningRate: 0.001,
+            optimizer: 'adam', // 'adam' | 'sgd' | 'adagrad' | 'rmsprop'
+            hiddenUnits: [64], // deep tower hidden layer sizes
+            topK: 10,
+            loss: {
+                type: 'softmax', // or 'bpr'
+                negatives: 'in-batch', // or 'uniform' / 'popularity' sampled from the catalog
+                numNegatives: 256,
+                temperature: 1.0,
+                logQCorrection: false,
+                maskInBatchPositives: true
+            },
+            // Deep item tower feature groups (toggle for ablation)
+            itemFeatures: {
+                genres: true,
+                year: true,
+                titleTokens: true,
+                popularity: true,
+                yearBuckets: 8,
+                titleHashBuckets: 512
+            },
+            // Deep user tower inputs
+            userFeatures: {
+                idEmbedding: true,
+                demographics: true, // read from the dataset's user file (u.user / users.dat) when available
+                history: true, // mean-pooled embeddings of recent training items
+                historyLength: 20
+            },
+            ratings: {
+                objective: 'retrieval', // or 'rating' to predict stars from the tower dot product
+                threshold: 4, // ratings below this are "low"
+                lowRatingPolicy: 'keep', // 'keep' | 'drop' | 'downweight'
+                lowRatingWeight: 0.25,
+                weightByRating: false // scale each example's loss by rating / 5
+            },
+            // Biased matrix factorization baseline (see matrix-factorization.js), always fit to the ratings
+            matrixFactorization: {
+                regularization: 0.02
+            },
+            // Top-K retrieval over item tower outputs (see retrieval-index.js)
+            retrieval: {
+                index: 'brute-force', // 'brute-force' | 'ivf' | 'hnsw'
+                ivf: { numLists: null, numProbes: 8 },
+                hnsw: { M: 16, efConstruction: 100, efSearch: 64 },
+                benchmarkQueries: 200 // users sampled for the recall-vs-latency comparison
+            },
+            // Re-ranking of retrieved candidates (see reranking.js), edited in the Re-ranking panel
+            reranking: {
+                diversity: 0,
+                popularityPenalty: 0,
+                excludeGenres: [],
+                maxPerGenre: null,
+                yearFrom: null,
+                yearTo: null,
+                candidatePool: 100
+            },
+            // Training loop: shuffling, validation split, early stopping and LR schedule (see Trainer.DEFAULTS)
+            training: Trainer.DEFAULTS,
+            evaluation: {
+                split: 'leave-last-out', // 'leave-last-out' | 'random' | 'temporal'
+                holdoutPerUser: 1,
+                testFraction: 0.2,
+                seed: 42,
+                cutoff: null, // temporal: Unix timestamp (seconds); null uses cutoffQuantile
+                cutoffQuantile: 0.8, // temporal: share of interactions (by time) before the cutoff
+                timeWindows: 5, // temporal: windows of the test period charted in evaluate()
+                k: 10
+            }
+        };
+    }
+    
+    constructor(config = RecommenderPipeline.defaultConfig()) {
+        this.config = config;
+        
+        // Loaded interactions (InteractionTable) and the rows of its sample used for
+        // training and held out for testing
+        this.table = null;
+        this.trainRows = new Int32Array(0);
+        this.testRows = new Int32Array(0);
+        this.items = new Map();
+        this.users = new Map();
+        this.userMap = new Map();
+        this.itemMap = new Map();
+        this.reverseUserMap = new Map();
+        this.reverseItemMap = new Map();
+        // Model index of every table user / item index, -1 when it has no training row
+        this.tableUserIndex = new Int32Array(0);
+        this.tableItemIndex = new Int32Array(0);
+        // Training rows of each user ID, best rated (then most recent) first
+        this.userRows = new Map();
+        this.genreMap = new Map();
+        this.genreList = [];
+        this.temporalCutoff = null;
+        this.ratingsRead = 0;
+        // Dense item feature columns [{ name, size }] of the last buildItemFeatures
+        this.itemFeatureGroups = [];
+        
+        // Trained models by key (see RecommenderPipeline.MODELS), filled by installTrainedModels
+        this.models = new Map();
+        // Retrieval index per model key, rebuilt whenever models are installed
+        this.retrievalIndexes = {};
+        // Cosine-similarity search per model key, built on first use after models are installed
+        this.similarItemFinders = {};
+    }
+    
+    // Installed models with their display info, in display order
+    getInstalledModels() {
+        return RecommenderPipeline.MODELS
+            .filter(({ key }) => this.models.has(key))
+            .map(info => ({ ...info, model: this.models.get(info.key) }));
+    }
+    
+    // Split, index and summarise a dataset returned by a loader in datasets.js
+    prepareDataset(dataset) {
+        // Files are not necessarily in time order: keep the earliest maxInteractions
+        // so the loaded sample covers one contiguous period. The sample is a list of
+        // row numbers; the interactions themselves stay in the table's typed columns.
+        const table = dataset.interactions;
+        const sampleRows = table.rowsByTime().subarray(0, this.config.maxInteractions);
+        
+        // Hold out test interactions before building mappings so the
+        // models never see them during training
+        const split = InteractionSplitter.split(table, sampleRows, this.config.evaluation);
+        
+        // Models index users and items by the previous mappings, which are rebuilt below.
+        // Up to here a failure (e.g. a temporal cutoff without training data) changes nothing.
+        this.disposeModels();
+        this.table = table;
+        this.ratingsRead = table.length;
+        this.trainRows = split.train;
+        this.testRows = split.test;
+        this.temporalCutoff = split.cutoff || null;
+        
+        this.items = dataset.items;
+        this.genreList = dataset.genreList;
+        this.genreMap = new Map(Array.from(dataset.items, ([itemId, item]) => [itemId, item.genres]));
+        
+        // Optional user demographics
+        this.users = this.config.userFeatures.demographics ? dataset.users : new Map();
+        
+        // Create mappings and find users with sufficient ratings
+        this.createMappings();
+        this.findQualifiedUsers();
+        this.buildEvaluationSets();
+    }
+    
+    // One-line summary of the prepared dataset
+    describeDataset(sourceName) {
+        return `Loaded ${sourceName}: ${this.ratingsRead} ratings read, ${this.trainRows.length} training interactions (${this.testRows.length} held out${this.describeTemporalSplit()}) and ${this.items.size} items. ${this.qualifiedUsers.length} users have 20+ ratings. ${this.genreList.length} genres detected. ${this.users.size > 0 ? `Demographics for ${this.users.size} users.` : 'No user demographics found.'}`;
+    }
+    
+    createMappings() {
+        // Model indices for the users and items of the training rows, in order of first
+        // appearance (from scratch when data is reloaded), translated from the table's
+        // own indices so rows convert with one array lookup
+        [this.userMap, this.itemMap, this.reverseUserMap, this.reverseItemMap].forEach(map => map.clear());
+        const table = this.table;
+        this.tableUserIndex = new Int32Array(table.userIds.length).fill(-1);
+        this.tableItemIndex = new Int32Array(table.itemIds.length).fill(-1);
+        const userRows = new Map();
+        
+        this.trainRows.forEach(row => {
+            const tableUser = table.users[row];
+            const tableItem = table.items[row];
+            if (this.tableUserIndex[tableUser] === -1) {
+                const userId = table.userIds[tableUser];
+                this.tableUserIndex[tableUser] = this.userMap.size;
+                this.reverseUserMap.set(this.userMap.size, userId);
+                this.userMap.set(userId, this.userMap.size);
+                userRows.set(userId, []);
+            }
+            if (this.tableItemIndex[tableItem] === -1) {
+                const itemId = table.itemIds[tableItem];
+                this.tableItemIndex[tableItem] = this.itemMap.size;
+                this.reverseItemMap.set(this.itemMap.size, itemId);
+                this.itemMap.set(itemId, this.itemMap.size);
+            }
+            userRows.get(table.userIds[tableUser]).push(row);
+        });
+        
+        // Sort each user's rows by rating (desc) and timestamp (desc)
+        this.userRows = new Map();
+        userRows.forEach((rows, userId) => {
+            this.userRows.set(userId, Int32Array.from(rows).sort((a, b) => {
+                if (table.ratings[b] !== table.ratings[a]) return table.ratings[b] - table.ratings[a];
+                return table.timestamps[b] - table.timestamps[a];
+            }));
+        });
+    }
+    
+    // A user's training ratings as [{ userId, itemId, rating, timestamp }], best rated first
+    getUserRatings(userId) {
+        const rows = this.userRows.get(userId);
+        return rows ? Array.from(rows, row => this.table.row(row)) : null;
+    }
+    
+    findQualifiedUsers() {
+        // Filter users with at least 20 ratings
+        const qualifiedUsers = [];
+        this.userRows.forEach((rows, userId) => {
+            if (rows.length >= 20) {
+                qualifiedUsers.push(userId);
+            }
+        });
+        this.qualifiedUsers = qualifiedUsers;
+    }
+    
+    buildEvaluationSets() {
+        // Training interaction counts per item index (used for popularity baseline and bias)
+        this.itemCounts = new Float32Array(this.itemMap.size);
+        this.trainItemsByUser = new Map();
+        this.trainRows.forEach(row => {
+            const userIndex = this.tableUserIndex[this.table.users[row]];
+            const itemIndex = this.tableItemIndex[this.table.items[row]];
+            this.itemCounts[itemIndex]++;
+            if (!this.trainItemsByUser.has(userIndex)) {
+                this.trainItemsByUser.set(userIndex, new Set());
+            }
+            this.trainItemsByUser.get(userIndex).add(itemIndex);
+        });
+        
+        const { testItemsByUser, testRatings, unseen } = this.buildTestSets(this.testRows);
+        this.testItemsByUser = testItemsByUser;
+        this.testRatings = testRatings;
+        this.unseenTest = unseen;
+    }
+    
+    // Held-out items the models can rank. Users and items that never appear in
+    // training (common after a temporal cutoff) have no ID embedding, so their
+    // interactions are left out and counted in unseen instead.
+    buildTestSets(rows) {
+        const table = this.table;
+        const testItemsByUser = new Map();
+        const testRatings = { userIndices: [], itemIndices: [], ratings: [] };
+        const unseen = { users: new Set(), items: new Set(), interactions: 0 };
+        
+        rows.forEach(row => {
+            const userIndex = this.tableUserIndex[table.users[row]];
+            const itemIndex = this.tableItemIndex[table.items[row]];
+            if (userIndex === -1) unseen.users.add(table.userIds[table.users[row]]);
+            if (itemIndex === -1) unseen.items.add(table.itemIds[table.items[row]]);
+            if (userIndex === -1 || itemIndex === -1) {
+                unseen.interactions++;
+                return;
+            }
+            
+            if (!testItemsByUser.has(userIndex)) {
+                testItemsByUser.set(userIndex, new Set());
+            }
+            testItemsByUser.get(userIndex).add(itemIndex);
+            
+            testRatings.userIndices.push(userIndex);
+            testRatings.itemIndices.push(itemIndex);
+            testRatings.ratings.push(table.ratings[row]);
+        });
+        
+        return { testItemsByUser, testRatings, unseen };
+    }
+    
+    // ", cutoff 1998-01-12, 35 new users / 80 new items skipped" for temporal splits
+    describeTemporalSplit() {
+        const parts = [];
+        if (this.temporalCutoff !== null) {
+            parts.push(`cutoff ${this.formatDate(this.temporalCutoff)}`);
+        }
+        if (this.unseenTest.interactions > 0) {
+            parts.push(`${this.unseenTest.interactions} interactions with ${this.unseenTest.users.size} new users / ${this.unseenTest.items.size} new items skipped`);
+        }
+        return parts.length ? `, ${parts.join(', ')}` : '';
+    }
+    
+    formatDate(timestamp) {
+        return new Date(timestamp * 1000).toISOString().slice(0, 10);
+    }
+    
+    // Everything the trainer needs, as structured-cloneable data for the worker
+    buildTrainingData() {
+        const { userIndices, itemIndices, ratings, weights } = this.buildTrainingExamples();
+        const globalMean = this.trainRows.reduce((sum, row) => sum + this.table.ratings[row], 0) / (this.trainRows.length || 1);
+        
+        return {
+            numUsers: this.userMap.size,
+            numItems: this.itemMap.size,
+            userIndices,
+            itemIndices,
+            ratings,
+            weights,
+            itemCounts: this.itemCounts,
+            globalMean,
+            itemFeatures: this.buildItemFeatures(),
+            userFeatures: this.buildUserFeatures()
+        };
+    }
+    
+    // Training examples after the low-rating policy, with per-example loss weights
+    // (weights is null when every example counts the same)
+    buildTrainingExamples() {
+        const { threshold, lowRatingPolicy, lowRatingWeight, weightByRating } = this.config.ratings;
+        // Typed columns written in place, trimmed afterwards if low ratings were dropped
+        const table = this.table;
+        const capacity = this.trainRows.length;
+        const userIndices = new Int32Array(capacity);
+        const itemIndices = new Int32Array(capacity);
+        const ratings = new Float32Array(capacity);
+        const weights = new Float32Array(capacity);
+        let count = 0;
+        let weighted = false;
+        
+        this.trainRows.forEach(row => {
+            const rating = table.ratings[row];
+            const isLow = rating < threshold;
+            if (isLow && lowRatingPolicy === 'drop') return;
+            
+            let weight = isLow && lowRatingPolicy === 'downweight' ? lowRatingWeight : 1;
+            if (weightByRating) weight *= rating / 5;
+            
+            userIndices[count] = this.tableUserIndex[table.users[row]];
+            itemIndices[count] = this.tableItemIndex[table.items[row]];
+            ratings[count] = rating;
+            weights[count] = weight;
+            if (weight !== 1) weighted = true;
+            count++;
+        });
+        
+        // slice rather than subarray: posting a view to the worker would copy its whole buffer
+        const trim = column => count === capacity ? column : column.slice(0, count);
+        return {
+            userIndices: trim(userIndices),
+            itemIndices: trim(itemIndices),
+            ratings: trim(ratings),
+            weights: weighted ? trim(weights) : null
+        };
+    }
+    
+    // Deep item tower inputs for every item index, in itemMap order. The column groups
+    // are kept for explaining the deep model, which was built from the last features.
+    buildItemFeatures() {
+        const builder = new ItemFeatureBuilder(this.config.itemFeatures);
+        const features = builder.build({
+            items: this.items,
+            genreMap: this.genreMap,
+            numGenres: this.genreList.length,
+            reverseItemMap: this.reverseItemMap,
+            itemCounts: this.itemCounts
+        });
+        this.itemFeatureGroups = features.groups;
+        return features;
+    }
+    
+    // Deep user tower side inputs for every user index, in userMap order
+    buildUserFeatures() {
+        const builder = new UserFeatureBuilder(this.config.userFeatures);
+        return builder.build({
+            users: this.users,
+            table: this.table,
+            userRows: this.userRows,
+            userMap: this.userMap,
+            tableItemIndex: this.tableItemIndex,
+            reverseUserMap: this.reverseUserMap
+        });
+    }
+    
+    getModelContext() {
+        const itemFeatures = this.buildItemFeatures();
+        const userFeatures = this.buildUserFeatures();
+        return {
+            userMap: this.userMap,
+            itemMap: this.itemMap,
+            reverseUserMap: this.reverseUserMap,
+            reverseItemMap: this.reverseItemMap,
+            itemFeatures: itemFeatures.dense,
+            titleTokens: itemFeatures.titleTokens,
+            userFeatures: userFeatures.dense,
+            userHistory: userFeatures.history,
+            config: this.config
+        };
+    }
+    
+    // Rebuild models from saved bundles against the currently loaded dataset and install them.
+    // Returns the installed keys and whether index mappings differed and were remapped by ID.
+    installModels(bundles) {
+        const context = this.getModelContext();
+        let remapped = false;
+        
+        // All bundles must load before any model is replaced
+        const models = [];
+        try {
+            bundles.forEach(bundle => {
+                const result = ModelIO.deserialize(bundle, context);
+                remapped = remapped || result.remapped;
+                models.push({ key: result.model.getConfig().type, model: result.model });
+            });
+        } catch (error) {
+            models.forEach(({ model }) => model.dispose());
+            throw error;
+        }
+        
+        this.installTrainedModels(models);
+        return { keys: models.map(({ key }) => key), remapped };
+    }
+    
+    // Replace the current models with newly trained or loaded ones
+    installTrainedModels(models) {
+        models.forEach(({ key, model }) => {
+            if (this.models.has(key)) this.models.get(key).dispose();
+            this.models.set(key, model);
+            // Cache computed item outputs (deep item tower, MF factors with biases) so scoring is a single matmul
+            if (model.precomputeItemOutputs) model.precomputeItemOutputs();
+        });
+        
+        this.similarItemFinders = {};
+        if (this.models.size > 0) this.buildRetrievalIndexes();
+    }
+    
+    // Drop all installed models together with their retrieval indexes and similarity search
+    disposeModels() {
+        this.models.forEach(model => model.dispose());
+        this.models.clear();
+        this.retrievalIndexes = {};
+        this.similarItemFinders = {};
+    }
+    
+    // Item vectors of a model as a flat Float32Array copy, for the retrieval indexes
+    getItemVectors(model) {
+        const outputs = model.getItemTowerOutputs();
+        return { vectors: outputs.dataSync().slice(), dim: outputs.shape[1] };
+    }
+    
+    // Rebuild every installed model's retrieval index; returns the build time in ms
+    buildRetrievalIndexes() {
+        const { index: type, ...options } = this.config.retrieval;
+        
+        const start = performance.now();
+        this.models.forEach((model, key) => {
+            const { vectors, dim } = this.getItemVectors(model);
+            this.retrievalIndexes[key] = createRetrievalIndex(type, options[type]).build(vectors, dim);
+        });
+        return performance.now() - start;
+    }
+    
+    // "Basic Loss: 0.1234, Deep Loss: 0.5678" for whichever models reported a value
+    formatLosses(values, label) {
+        const names = Object.fromEntries(RecommenderPipeline.MODELS.map(({ key, label }) => [key, label]));
+        return Object.entries(values)
+            .map(([key, value]) => `${names[key] || key} ${label}: ${value.toFixed(4)}`)
+            .join(', ');
+    }
+    
+    createEvaluator() {
+        return new RankingEvaluator(this.itemMap.size, this.itemCounts, this.config.evaluation.k);
+    }
+    
+    // The popularity baseline and every installed model, in display order. With
+    // re-ranking on, the trained models are evaluated with and without it to show
+    // what the diversity / novelty gains cost in accuracy.
+    getEvaluationModels() {
+        const installed = this.getInstalledModels();
+        const models = [
+            { key: 'popular', name: 'Most Popular (baseline)', model: new MostPopularBaseline(this.itemCounts) },
+            ...installed.map(({ key, name, model }) => ({ key, name, model }))
+        ];
+        
+        if (Reranker.isActive(this.config.reranking)) {
+            models.push(...installed.map(({ key, name, model }) => ({
+                key: `${key}-reranked`,
+                name: `${name} + re-ranking`,
+                model,
+                reranker: this.getReranker(key)
+            })));
+        }
+        return models;
+    }
+    
+    // Ranking metrics on the held-out set, plus RMSE / MAE where the model predicts ratings.
+    // Returns [{ key, name, metrics }] in the order of models.
+    async evaluateModels(evaluator, models) {
+        const diversityVectors = this.getGenreVectors();
+        
+        const results = [];
+        for (const { key, name, model, reranker = null } of models) {
+            const metrics = await evaluator.evaluate(model, this.trainItemsByUser, this.testItemsByUser, { reranker, diversityVectors });
+            
+            // RMSE / MAE only for models that predict ratings (rating head or matrix factorization)
+            metrics.rating = model.canPredictRatings && model.canPredictRatings()
+                ? RatingEvaluator.evaluate(model, this.testRatings)
+                : null;
+            
+            results.push({ key, name, metrics });
+            
+            // Allow UI to update
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        
+        return results;
+    }
+    
+    // Ranking metrics per window of the test period, to show how quality decays
+    // as the models get further from the training cutoff
+    async evaluateTimeWindows(evaluator, models) {
+        const windows = InteractionSplitter.timeWindows(this.table, this.testRows, this.config.evaluation.timeWindows);
+        const windowResults = [];
+        
+        for (const window of windows) {
+            const { testItemsByUser, unseen } = this.buildTestSets(window.rows);
+            const metrics = {};
+            for (const { key, model } of models) {
+                metrics[key] = testItemsByUser.size > 0
+                    ? await evaluator.evaluate(model, this.trainItemsByUser, testItemsByUser)
+                    : null;
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            windowResults.push({
+                start: window.start,
+                end: window.end,
+                numInteractions: window.rows.length,
+                numUnseen: unseen.interactions,
+                metrics
+            });
+        }
+        
+        return windowResults;
+    }
+    
+    getSimilarItemFinder(key) {
+        if (!this.similarItemFinders[key]) {
+            const { vectors, dim } = this.getItemVectors(this.models.get(key));
+            this.similarItemFinders[key] = new SimilarItemFinder(vectors, dim);
+        }
+        return this.similarItemFinders[key];
+    }
+    
+    // Top-k { itemId, score } for a known user from the model's retrieval index
+    getRecommendations(key, userIndex, excludeItemIds, k) {
+        const model = this.models.get(key);
+        const userEmbedding = model.getUserEmbedding(userIndex);
+        const query = userEmbedding.dataSync().slice();
+        userEmbedding.dispose();
+        
+        return this.searchItems(key, query, excludeItemIds, k);
+    }
+    
+    // Top-k { itemId, score } for any query vector in a model's item space, skipping excluded item IDs.
+    // With re-ranking on, a larger candidate pool is retrieved and re-ranked down to k.
+    searchItems(key, query, excludeItemIds, k) {
+        const exclude = new Set();
+        excludeItemIds.forEach(itemId => {
+            if (this.itemMap.has(itemId)) exclude.add(this.itemMap.get(itemId));
+        });
+        
+        const reranker = this.getReranker(key);
+        let results;
+        if (reranker) {
+            reranker.filteredItems().forEach(index => exclude.add(index));
+            const candidates = this.retrievalIndexes[key].search(query, Math.max(reranker.options.candidatePool, k), exclude);
+            results = reranker.rerank(candidates, k);
+        } else {
+            results = this.retrievalIndexes[key].search(query, k, exclude);
+        }
+        
+        return results.map(({ index, score }) => ({
+            itemId: this.reverseItemMap.get(index),
+            score
+        }));
+    }
+    
+    // Reranker over a model's item space with the current settings, or null when re-ranking is off
+    getReranker(key) {
+        if (!Reranker.isActive(this.config.reranking)) return null;
+        const { unitVectors, dim } = this.getSimilarItemFinder(key);
+        const itemIds = Array.from({ length: this.itemMap.size }, (_, index) => this.reverseItemMap.get(index));
+        return new Reranker({
+            unitVectors,
+            dim,
+            itemGenres: itemIds.map(itemId => this.genreMap.get(itemId) || []),
+            itemYears: itemIds.map(itemId => {
+                const item = this.items.get(itemId);
+                return item ? item.year : null;
+            }),
+            itemCounts: this.itemCounts
+        }, this.config.reranking);
+    }
+    
+    // L2-normalised genre flags per item index, the model-independent space in which
+    // intra-list diversity is measured; null when the dataset has no genres
+    getGenreVectors() {
+        const dim = this.genreList.length;
+        if (dim === 0) return null;
+        const flags = new Float32Array(this.itemMap.size * dim);
+        this.reverseItemMap.forEach((itemId, index) => {
+            (this.genreMap.get(itemId) || []).forEach((flag, genreIndex) => {
+                flags[index * dim + genreIndex] = flag;
+            });
+        });
+        return { unitVectors: SimilarItemFinder.normalize(flags, dim), dim };
+    }
+    
+    getTitle(itemId) {
+        const item = this.items.get(itemId);
+        return item ? item.title : `Movie ${itemId}`;
+    }
+    
+    getGenreNames(itemId) {
+        const genres = this.genreMap.get(itemId) || [];
+        return this.genreList.filter((_, index) => genres[index] === 1);
+    }
+}
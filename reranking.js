@@ -0,0 +1,141 @@
+// Re-ranking stage between scoring and display: drops items outside the genre and
+// year filters, penalises popular items and diversifies each list with MMR (maximal
+// marginal relevance) over item embeddings, under optional per-genre quotas.
+class Reranker {
+    static get DEFAULTS() {
+        return {
+            diversity: 0, // MMR weight: 0 keeps the relevance order, 1 only rewards dissimilarity
+            popularityPenalty: 0, // subtracted times the item's normalised log popularity
+            excludeGenres: [], // genre indices never recommended
+            maxPerGenre: null, // at most this many items of any one genre per list
+            genreQuotas: {}, // genreIndex → maximum items, overriding maxPerGenre
+            yearFrom: null,
+            yearTo: null,
+            candidatePool: 100 // best-scoring candidates considered for each list
+        };
+    }
+    
+    // unitVectors: L2-normalised item vectors (numItems * dim, see SimilarItemFinder.normalize)
+    // itemGenres: multi-hot genres per item index; itemYears: year (or null) per item index
+    // itemCounts: training interactions per item index
+    constructor({ unitVectors, dim, itemGenres, itemYears, itemCounts }, options = {}) {
+        this.options = { ...Reranker.DEFAULTS, ...options };
+        this.unitVectors = unitVectors;
+        this.dim = dim;
+        this.itemGenres = itemGenres;
+        this.itemYears = itemYears;
+        
+        // Log popularity scaled to [0, 1]
+        const maxLog = Math.log1p(itemCounts.reduce((max, count) => Math.max(max, count), 0)) || 1;
+        this.popularity = Float32Array.from(itemCounts, count => Math.log1p(count) / maxLog);
+    }
+    
+    // Whether the options change anything compared to plain top-k by score
+    static isActive(options) {
+        const { diversity, popularityPenalty, excludeGenres, maxPerGenre, genreQuotas, yearFrom, yearTo } = { ...Reranker.DEFAULTS, ...options };
+        return diversity > 0 || popularityPenalty > 0 || excludeGenres.length > 0 || maxPerGenre !== null ||
+            Object.keys(genreQuotas).length > 0 || yearFrom !== null || yearTo !== null;
+    }
+    
+    // Whether the genre exclusions and year range allow an item
+    accepts(index) {
+        const { excludeGenres, yearFrom, yearTo } = this.options;
+        const genres = this.itemGenres[index] || [];
+        if (excludeGenres.some(genreIndex => genres[genreIndex] === 1)) return false;
+        if (yearFrom === null && yearTo === null) return true;
+        
+        // Items without a known year cannot satisfy a year range
+        const year = this.itemYears[index];
+        if (year === null || year === undefined) return false;
+        return (yearFrom === null || year >= yearFrom) && (yearTo === null || year <= yearTo);
+    }
+    
+    // Item indices the filters rule out, to skip at retrieval time
+    filteredItems() {
+        const filtered = new Set();
+        for (let index = 0; index < this.popularity.length; index++) {
+            if (!this.accepts(index)) filtered.add(index);
+        }
+        return filtered;
+    }
+    
+    // Whether adding the item would take any of its genres over the quota
+    exceedsQuota(index, genreCounts) {
+        const { maxPerGenre, genreQuotas } = this.options;
+        const genres = this.itemGenres[index] || [];
+        return genres.some((flag, genreIndex) => {
+            if (flag !== 1) return false;
+            const limit = genreQuotas[genreIndex] !== undefined ? genreQuotas[genreIndex] : maxPerGenre;
+            return limit !== null && (genreCounts.get(genreIndex) || 0) >= limit;
+        });
+    }
+    
+    // Top-k of best-first candidates [{ index, score }] after filtering, the popularity
+    // penalty, quotas and MMR. Returns [{ index, score }] with the original scores, in
+    // the new order; fewer than k when the filters and quotas leave too few candidates.
+    rerank(candidates, k) {
+        const { diversity, popularityPenalty } = this.options;
+        const pool = candidates.filter(({ index }) => this.accepts(index));
+        if (pool.length === 0) return [];
+        
+        // Relevance on a 0-1 scale so the weights mean the same for every model
+        let min = Infinity;
+        let max = -Infinity;
+        pool.forEach(({ score }) => {
+            min = Math.min(min, score);
+            max = Math.max(max, score);
+        });
+        const range = max - min || 1;
+        const relevance = pool.map(({ index, score }) => (score - min) / range - popularityPenalty * this.popularity[index]);
+        
+        // Greedy MMR: each pick maximises (1 - λ) relevance - λ max cosine to the items picked so far
+        const maxSimilarity = new Float32Array(pool.length).fill(-1);
+        const picked = new Uint8Array(pool.length);
+        const genreCounts = new Map();
+        const selected = [];
+        
+        while (selected.length < k) {
+            let best = -1;
+            let bestValue = -Infinity;
+            for (let i = 0; i < pool.length; i++) {
+                if (picked[i] || this.exceedsQuota(pool[i].index, genreCounts)) continue;
+                const redundancy = selected.length > 0 ? maxSimilarity[i] : 0;
+                const value = (1 - diversity) * relevance[i] - diversity * redundancy;
+                if (value > bestValue) {
+                    best = i;
+                    bestValue = value;
+                }
+            }
+            if (best === -1) break;
+            
+            picked[best] = 1;
+            selected.push(pool[best]);
+            (this.itemGenres[pool[best].index] || []).forEach((flag, genreIndex) => {
+                if (flag === 1) genreCounts.set(genreIndex, (genreCounts.get(genreIndex) || 0) + 1);
+            });
+            
+            if (diversity > 0) {
+                const offset = pool[best].index * this.dim;
+                const query = this.unitVectors.subarray(offset, offset + this.dim);
+                for (let i = 0; i < pool.length; i++) {
+                    if (picked[i]) continue;
+                    const similarity = innerProduct(this.unitVectors, pool[i].index * this.dim, query, this.dim);
+                    maxSimilarity[i] = Math.max(maxSimilarity[i], similarity);
+                }
+            }
+        }
+        
+        return selected;
+    }
+    
+    // Re-ranked top-k from a score per item index, e.g. getScoresForAllItems().
+    // exclude: Set of item indices to skip (already rated)
+    rerankScores(scores, k, exclude = null) {
+        const collector = new TopKCollector(Math.max(this.options.candidatePool, k));
+        for (let index = 0; index < scores.length; index++) {
+            if ((exclude && exclude.has(index)) || !this.accepts(index)) continue;
+            collector.add(index, scores[index]);
+        }
+        return this.rerank(collector.results(), k);
+    }
+}
@@ -0,0 +1,458 @@
+// Top-K retrieval over item tower outputs by inner product.
+// All indexes share one interface:
+//   build(vectors, dim)           vectors: Float32Array of numItems * dim values
+//   search(query, k, exclude)     query: Float32Array(dim), exclude: Set<itemIndex> | null
+//                                 → [{ index, score }] best first
+// BruteForceIndex is exact; IVFIndex and HNSWIndex trade some recall for speed.
+
+// Index by name: 'brute-force' | 'ivf' | 'hnsw'
+function createRetrievalIndex(type = 'brute-force', options = {}) {
+    switch (type) {
+        case 'brute-force':
+            return new BruteForceIndex();
+        case 'ivf':
+            return new IVFIndex(options);
+        case 'hnsw':
+            return new HNSWIndex(options);
+        default:
+            throw new Error(`Unknown retrieval index "${type}"`);
+    }
+}
+
+// Array-backed binary heap; compare(a, b) < 0 puts a nearer the top
+class BinaryHeap {
+    constructor(compare) {
+        this.compare = compare;
+        this.items = [];
+    }
+    
+    get size() {
+        return this.items.length;
+    }
+    
+    peek() {
+        return this.items[0];
+    }
+    
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let child = items.length - 1;
+        while (child > 0) {
+            const parent = (child - 1) >> 1;
+            if (this.compare(items[child], items[parent]) >= 0) break;
+            [items[child], items[parent]] = [items[parent], items[child]];
+            child = parent;
+        }
+    }
+    
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let parent = 0;
+            while (true) {
+                const left = 2 * parent + 1;
+                const right = left + 1;
+                let best = parent;
+                if (left < items.length && this.compare(items[left], items[best]) < 0) best = left;
+                if (right < items.length && this.compare(items[right], items[best]) < 0) best = right;
+                if (best === parent) break;
+                [items[parent], items[best]] = [items[best], items[parent]];
+                parent = best;
+            }
+        }
+        return top;
+    }
+}
+
+// Keeps the k highest-scoring { index, score } entries seen so far
+class TopKCollector {
+    constructor(k) {
+        this.k = k;
+        this.heap = new BinaryHeap((a, b) => a.score - b.score);
+    }
+    
+    add(index, score) {
+        if (this.heap.size < this.k) {
+            this.heap.push({ index, score });
+        } else if (score > this.heap.peek().score) {
+            this.heap.pop();
+            this.heap.push({ index, score });
+        }
+    }
+    
+    results() {
+        return [...this.heap.items].sort((a, b) => b.score - a.score);
+    }
+}
+
+function innerProduct(vectors, offset, query, dim) {
+    let sum = 0;
+    for (let d = 0; d < dim; d++) {
+        sum += vectors[offset + d] * query[d];
+    }
+    return sum;
+}
+
+// Exact search: scores every item
+class BruteForceIndex {
+    build(vectors, dim) {
+        this.vectors = vectors;
+        this.dim = dim;
+        this.size = vectors.length / dim;
+        return this;
+    }
+    
+    search(query, k, exclude = null) {
+        const collector = new TopKCollector(k);
+        for (let index = 0; index < this.size; index++) {
+            if (exclude && exclude.has(index)) continue;
+            collector.add(index, innerProduct(this.vectors, index * this.dim, query, this.dim));
+        }
+        return collector.results();
+    }
+}
+
+// Inverted file index: k-means partitions the items into lists, and a query only
+// scans the lists whose centroids score highest against it
+class IVFIndex {
+    static get DEFAULTS() {
+        return {
+            numLists: null, // defaults to about sqrt(numItems)
+            numProbes: 8, // lists scanned per query
+            iterations: 10, // k-means iterations
+            seed: 42
+        };
+    }
+    
+    constructor(options = {}) {
+        this.options = { ...IVFIndex.DEFAULTS, ...options };
+    }
+    
+    build(vectors, dim) {
+        this.vectors = vectors;
+        this.dim = dim;
+        this.size = vectors.length / dim;
+        
+        const numLists = Math.max(1, Math.min(
+            this.options.numLists || Math.round(Math.sqrt(this.size)),
+            this.size
+        ));
+        const { centroids, assignments } = IVFIndex.kMeans(vectors, dim, numLists, this.options.iterations, this.options.seed);
+        this.centroids = centroids;
+        this.numLists = numLists;
+        
+        const lists = Array.from({ length: numLists }, () => []);
+        assignments.forEach((list, index) => lists[list].push(index));
+        this.lists = lists.map(list => Int32Array.from(list));
+        return this;
+    }
+    
+    search(query, k, exclude = null) {
+        const numProbes = Math.min(this.options.numProbes, this.numLists);
+        const probes = new TopKCollector(numProbes);
+        for (let list = 0; list < this.numLists; list++) {
+            probes.add(list, innerProduct(this.centroids, list * this.dim, query, this.dim));
+        }
+        
+        const collector = new TopKCollector(k);
+        probes.results().forEach(({ index: list }) => {
+            this.lists[list].forEach(index => {
+                if (exclude && exclude.has(index)) return;
+                collector.add(index, innerProduct(this.vectors, index * this.dim, query, this.dim));
+            });
+        });
+        return collector.results();
+    }
+    
+    // Lloyd's algorithm (squared Euclidean distance) with seeded random initial centroids
+    static kMeans(vectors, dim, numClusters, iterations, seed) {
+        const size = vectors.length / dim;
+        const random = createRandom(seed);
+        const centroids = new Float32Array(numClusters * dim);
+        const assignments = new Int32Array(size);
+        
+        const copyVector = (cluster, index) => {
+            centroids.set(vectors.subarray(index * dim, (index + 1) * dim), cluster * dim);
+        };
+        
+        // Distinct random items as starting centroids
+        const order = Int32Array.from({ length: size }, (_, index) => index);
+        for (let cluster = 0; cluster < numClusters; cluster++) {
+            const pick = cluster + Math.floor(random() * (size - cluster));
+            [order[cluster], order[pick]] = [order[pick], order[cluster]];
+            copyVector(cluster, order[cluster]);
+        }
+        
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            // Assign: argmin ||x - c||² = argmin (||c||² - 2 x·c)
+            const centroidNorms = new Float32Array(numClusters);
+            for (let cluster = 0; cluster < numClusters; cluster++) {
+                centroidNorms[cluster] = innerProduct(centroids, cluster * dim, centroids.subarray(cluster * dim, (cluster + 1) * dim), dim);
+            }
+            
+            let changed = 0;
+            for (let index = 0; index < size; index++) {
+                const vector = vectors.subarray(index * dim, (index + 1) * dim);
+                let best = 0;
+                let bestDistance = Infinity;
+                for (let cluster = 0; cluster < numClusters; cluster++) {
+                    const distance = centroidNorms[cluster] - 2 * innerProduct(centroids, cluster * dim, vector, dim);
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = cluster;
+                    }
+                }
+                if (assignments[index] !== best) changed++;
+                assignments[index] = best;
+            }
+            if (iteration > 0 && changed === 0) break;
+            
+            // Update: mean of the assigned vectors; empty clusters restart from a random item
+            const counts = new Int32Array(numClusters);
+            centroids.fill(0);
+            for (let index = 0; index < size; index++) {
+                const cluster = assignments[index];
+                counts[cluster]++;
+                for (let d = 0; d < dim; d++) {
+                    centroids[cluster * dim + d] += vectors[index * dim + d];
+                }
+            }
+            for (let cluster = 0; cluster < numClusters; cluster++) {
+                if (counts[cluster] === 0) {
+                    copyVector(cluster, Math.floor(random() * size));
+                    continue;
+                }
+                for (let d = 0; d < dim; d++) {
+                    centroids[cluster * dim + d] /= counts[cluster];
+                }
+            }
+        }
+        
+        return { centroids, assignments };
+    }
+}
+
+// Hierarchical navigable small world graph (Malkov & Yashunin). Each item sits on
+// layer 0 and, with exponentially decreasing probability, on higher layers; a query
+// descends greedily from the top layer and runs a beam search of width efSearch on
+// layer 0. Inner product is not a metric, so item vectors get one extra coordinate
+// sqrt(maxNorm² - |x|²) that gives them all the same norm, and queries get a 0 there:
+// scores are unchanged but the graph is built over what is now cosine similarity.
+class HNSWIndex {
+    static get DEFAULTS() {
+        return {
+            M: 16, // links per node on upper layers (2 * M on layer 0)
+            efConstruction: 100, // beam width while inserting
+            efSearch: 64, // beam width while querying (raised to k + excluded items when needed)
+            seed: 42
+        };
+    }
+    
+    constructor(options = {}) {
+        this.options = { ...HNSWIndex.DEFAULTS, ...options };
+    }
+    
+    build(vectors, dim) {
+        this.size = vectors.length / dim;
+        this.dim = dim + 1;
+        this.vectors = HNSWIndex.augment(vectors, dim);
+        this.links = []; // links[node][layer] = neighbouring nodes
+        this.entryPoint = -1;
+        this.maxLayer = -1;
+        this.visited = new Uint32Array(this.size);
+        this.visitTag = 0;
+        
+        const random = createRandom(this.options.seed);
+        const levelMultiplier = 1 / Math.log(this.options.M);
+        for (let node = 0; node < this.size; node++) {
+            const layer = Math.floor(-Math.log(1 - random()) * levelMultiplier);
+            this.insert(node, layer);
+        }
+        return this;
+    }
+    
+    static augment(vectors, dim) {
+        const size = vectors.length / dim;
+        const norms = new Float32Array(size);
+        for (let index = 0; index < size; index++) {
+            norms[index] = innerProduct(vectors, index * dim, vectors.subarray(index * dim, (index + 1) * dim), dim);
+        }
+        const maxNorm = norms.reduce((max, norm) => Math.max(max, norm), 0);
+        
+        const augmented = new Float32Array(size * (dim + 1));
+        for (let index = 0; index < size; index++) {
+            augmented.set(vectors.subarray(index * dim, (index + 1) * dim), index * (dim + 1));
+            augmented[index * (dim + 1) + dim] = Math.sqrt(Math.max(maxNorm - norms[index], 0));
+        }
+        return augmented;
+    }
+    
+    score(node, query) {
+        return innerProduct(this.vectors, node * this.dim, query, this.dim);
+    }
+    
+    vectorOf(node) {
+        return this.vectors.subarray(node * this.dim, (node + 1) * this.dim);
+    }
+    
+    maxLinks(layer) {
+        return layer === 0 ? 2 * this.options.M : this.options.M;
+    }
+    
+    insert(node, nodeLayer) {
+        this.links[node] = Array.from({ length: nodeLayer + 1 }, () => []);
+        
+        if (this.entryPoint === -1) {
+            this.entryPoint = node;
+            this.maxLayer = nodeLayer;
+            return;
+        }
+        
+        const query = this.vectorOf(node);
+        let entry = this.entryPoint;
+        for (let layer = this.maxLayer; layer > nodeLayer; layer--) {
+            entry = this.greedyClosest(query, entry, layer);
+        }
+        
+        for (let layer = Math.min(nodeLayer, this.maxLayer); layer >= 0; layer--) {
+            const candidates = this.searchLayer(query, entry, this.options.efConstruction, layer);
+            const neighbours = this.selectNeighbours(candidates, this.options.M);
+            this.links[node][layer] = neighbours;
+            
+            // Link back, pruning neighbours that now have too many links
+            neighbours.forEach(neighbour => {
+                const neighbourLinks = this.links[neighbour][layer];
+                neighbourLinks.push(node);
+                if (neighbourLinks.length > this.maxLinks(layer)) {
+                    const neighbourVector = this.vectorOf(neighbour);
+                    const scored = neighbourLinks
+                        .map(index => ({ index, score: this.score(index, neighbourVector) }))
+                        .sort((a, b) => b.score - a.score);
+                    this.links[neighbour][layer] = this.selectNeighbours(scored, this.maxLinks(layer));
+                }
+            });
+            
+            entry = candidates[0].index;
+        }
+        
+        if (nodeLayer > this.maxLayer) {
+            this.entryPoint = node;
+            this.maxLayer = nodeLayer;
+        }
+    }
+    
+    // Neighbour selection heuristic: take candidates best first, skipping any that is
+    // more similar to an already selected neighbour than to the base node. This keeps
+    // links pointing in different directions, so separate clusters stay connected.
+    // candidates: [{ index, score }] scored against the base node, best first
+    selectNeighbours(candidates, maxNeighbours) {
+        const selected = [];
+        for (const candidate of candidates) {
+            if (selected.length >= maxNeighbours) break;
+            const candidateVector = this.vectorOf(candidate.index);
+            const diverse = selected.every(index => this.score(index, candidateVector) < candidate.score);
+            if (diverse) selected.push(candidate.index);
+        }
+        return selected;
+    }
+    
+    // Hill-climb on one layer towards the node scoring highest against the query
+    greedyClosest(query, entry, layer) {
+        let current = entry;
+        let currentScore = this.score(current, query);
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (const neighbour of this.links[current][layer]) {
+                const score = this.score(neighbour, query);
+                if (score > currentScore) {
+                    current = neighbour;
+                    currentScore = score;
+                    improved = true;
+                }
+            }
+        }
+        return current;
+    }
+    
+    // Beam search on one layer; returns up to ef { index, score } best first
+    searchLayer(query, entry, ef, layer) {
+        this.visitTag++;
+        this.visited[entry] = this.visitTag;
+        
+        const entryScore = this.score(entry, query);
+        const candidates = new BinaryHeap((a, b) => b.score - a.score); // best first
+        const results = new BinaryHeap((a, b) => a.score - b.score); // worst first
+        candidates.push({ index: entry, score: entryScore });
+        results.push({ index: entry, score: entryScore });
+        
+        while (candidates.size > 0) {
+            const candidate = candidates.pop();
+            if (results.size >= ef && candidate.score < results.peek().score) break;
+            
+            for (const neighbour of this.links[candidate.index][layer]) {
+                if (this.visited[neighbour] === this.visitTag) continue;
+                this.visited[neighbour] = this.visitTag;
+                
+                const score = this.score(neighbour, query);
+                if (results.size < ef || score > results.peek().score) {
+                    candidates.push({ index: neighbour, score });
+                    results.push({ index: neighbour, score });
+                    if (results.size > ef) results.pop();
+                }
+            }
+        }
+        
+        return results.items.sort((a, b) => b.score - a.score);
+    }
+    
+    search(query, k, exclude = null) {
+        if (this.entryPoint === -1) return [];
+        
+        // Queries carry 0 in the augmented coordinate
+        const augmented = new Float32Array(this.dim);
+        augmented.set(query);
+        
+        let entry = this.entryPoint;
+        for (let layer = this.maxLayer; layer > 0; layer--) {
+            entry = this.greedyClosest(augmented, entry, layer);
+        }
+        
+        // Excluded items still guide the search but are dropped from the results
+        const ef = Math.max(this.options.efSearch, k + (exclude ? exclude.size : 0));
+        return this.searchLayer(augmented, entry, ef, 0)
+            .filter(result => !exclude || !exclude.has(result.index))
+            .slice(0, k);
+    }
+}
+
+// Recall@k against exact search, build time and mean query latency for each index.
+// indexes: [{ name, index }] (unbuilt); queries: [Float32Array(dim)]
+function compareRetrievalIndexes(vectors, dim, queries, k, indexes) {
+    const exact = new BruteForceIndex().build(vectors, dim);
+    const exactResults = queries.map(query => new Set(exact.search(query, k).map(result => result.index)));
+    
+    return indexes.map(({ name, index }) => {
+        const buildStart = performance.now();
+        index.build(vectors, dim);
+        const buildMs = performance.now() - buildStart;
+        
+        let hits = 0;
+        const queryStart = performance.now();
+        const results = queries.map(query => index.search(query, k));
+        const queryMs = (performance.now() - queryStart) / Math.max(queries.length, 1);
+        
+        results.forEach((result, queryIndex) => {
+            result.forEach(({ index: itemIndex }) => {
+                if (exactResults[queryIndex].has(itemIndex)) hits++;
+            });
+        });
+        const expected = exactResults.reduce((sum, set) => sum + set.size, 0);
+        
+        return { name, buildMs, queryMs, recall: expected ? hits / expected : 1 };
+    });
+}
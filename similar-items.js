@@ -0,0 +1,39 @@
+// "More like this": the items closest to a given item by cosine similarity in a
+// model's item space. Search is exact over L2-normalised vectors so that filters
+// (genre, year range) apply before ranking and never shorten the list.
+class SimilarItemFinder {
+    // vectors: Float32Array of numItems * dim values (item embeddings or item tower output)
+    constructor(vectors, dim) {
+        this.dim = dim;
+        this.numItems = vectors.length / dim;
+        this.unitVectors = SimilarItemFinder.normalize(vectors, dim);
+    }
+    
+    // Copy of the vectors scaled to unit length; zero vectors stay zero
+    static normalize(vectors, dim) {
+        const unitVectors = new Float32Array(vectors.length);
+        for (let offset = 0; offset < vectors.length; offset += dim) {
+            const norm = Math.sqrt(innerProduct(vectors, offset, vectors.subarray(offset, offset + dim), dim));
+            if (norm === 0) continue;
+            for (let d = 0; d < dim; d++) {
+                unitVectors[offset + d] = vectors[offset + d] / norm;
+            }
+        }
+        return unitVectors;
+    }
+    
+    // Top-k [{ index, similarity }] most similar to the item at itemIndex, best first.
+    // accept(index) → false skips a candidate; the item itself is never returned.
+    similarTo(itemIndex, k, accept = null) {
+        const { dim, unitVectors } = this;
+        const query = unitVectors.subarray(itemIndex * dim, (itemIndex + 1) * dim);
+        const collector = new TopKCollector(k);
+        
+        for (let index = 0; index < this.numItems; index++) {
+            if (index === itemIndex || (accept && !accept(index))) continue;
+            collector.add(index, innerProduct(unitVectors, index * dim, query, dim));
+        }
+        
+        return collector.results().map(({ index, score }) => ({ index, similarity: score }));
+    }
+}
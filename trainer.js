@@ -0,0 +1,367 @@
+// Training loop shared by the Web Worker and the main-thread fallback.
+//
+// Training data is a plain, structured-cloneable object built by MovieLensApp:
+//   numUsers, numItems
+//   userIndices, itemIndices (Int32Array), ratings (Float32Array), weights (Float32Array | null)
+//   itemCounts (Float32Array), globalMean
+//   itemFeatures: { dense, titleTokens }, userFeatures: { dense, history }
+class Trainer {
+    // models: [{ key, model }], trained side by side on the same batches
+    // callbacks: onBatch({ epoch, batch, numBatches, losses }),
+    //   onEpoch({ epoch, losses, validationLosses, validationRecall, learningRate, stopped })
+    // config.training: shuffling, validation split, early stopping and LR schedule (see DEFAULTS)
+    constructor(models, data, config, callbacks = {}) {
+        this.models = models;
+        this.data = data;
+        this.config = config;
+        this.callbacks = callbacks;
+        
+        this.paused = false;
+        this.cancelled = false;
+        this.resumeWaiter = null;
+    }
+    
+    // Both towers and the matrix factorization baseline, built from the same training data and config
+    static createModels(data, config) {
+        const basicModel = new BasicTwoTowerModel(
+            data.numUsers,
+            data.numItems,
+            config.embeddingDim,
+            {
+                loss: Trainer.createLoss(data, config),
+                optimizer: config.optimizer,
+                learningRate: config.learningRate
+            }
+        );
+        
+        const deepModel = new DeepTwoTowerModel(
+            data.numUsers,
+            data.numItems,
+            config.embeddingDim,
+            data.itemFeatures.dense,
+            {
+                loss: Trainer.createLoss(data, config),
+                titleTokens: data.itemFeatures.titleTokens,
+                userFeatures: data.userFeatures.dense,
+                userHistory: data.userFeatures.history,
+                useUserIdEmbedding: config.userFeatures.idEmbedding,
+                hiddenUnits: config.hiddenUnits,
+                optimizer: config.optimizer,
+                learningRate: config.learningRate
+            }
+        );
+        
+        // Fit to the star ratings whatever the towers' objective, as classical MF is
+        const mfModel = new MatrixFactorizationModel(
+            data.numUsers,
+            data.numItems,
+            config.embeddingDim,
+            {
+                globalMean: data.globalMean,
+                regularization: config.matrixFactorization.regularization,
+                optimizer: config.optimizer,
+                learningRate: config.learningRate
+            }
+        );
+        
+        return [
+            { key: 'basic', model: basicModel },
+            { key: 'deep', model: deepModel },
+            { key: 'mf', model: mfModel }
+        ];
+    }
+    
+    // Retrieval loss or rating regression head, depending on the training objective
+    static createLoss(data, config) {
+        if (config.ratings.objective === 'rating') {
+            return new RatingRegressionHead(data.globalMean);
+        }
+        return new RetrievalLoss(config.loss, data.itemCounts);
+    }
+    
+    static get DEFAULTS() {
+        return {
+            shuffle: true,
+            seed: 42,
+            validationFraction: 0.1, // share of training examples held out for validation (0 disables)
+            earlyStopping: {
+                enabled: true,
+                metric: 'val_loss', // 'val_loss' | 'val_recall' | 'loss'
+                patience: 3, // epochs without improvement before a model stops
+                minDelta: 0.0001,
+                restoreBestWeights: true
+            },
+            lrSchedule: {
+                type: 'constant', // 'constant' | 'step' | 'cosine'
+                stepEpochs: 5, // step: decay every this many epochs
+                decayRate: 0.5, // step: multiply the rate by this at each step
+                minLearningRate: 0.00001 // cosine: rate reached after the last epoch
+            }
+        };
+    }
+    
+    // Learning rate for an epoch under the configured schedule
+    static learningRateAt(schedule, baseRate, epoch, epochs) {
+        switch (schedule.type) {
+            case 'step':
+                return baseRate * Math.pow(schedule.decayRate, Math.floor(epoch / schedule.stepEpochs));
+            case 'cosine': {
+                const progress = epoch / epochs;
+                const minRate = schedule.minLearningRate;
+                return minRate + (baseRate - minRate) * 0.5 * (1 + Math.cos(Math.PI * progress));
+            }
+            case 'constant':
+                return baseRate;
+            default:
+                throw new Error(`Unknown learning-rate schedule "${schedule.type}"`);
+        }
+    }
+    
+    // Shuffled split of example rows into training and validation
+    static splitRows(numExamples, validationFraction, random) {
+        const rows = Trainer.shuffle(Int32Array.from({ length: numExamples }, (_, row) => row), random);
+        const numValidation = Math.min(Math.floor(numExamples * validationFraction), numExamples - 1);
+        return {
+            trainRows: rows.slice(numValidation),
+            validationRows: rows.slice(0, Math.max(numValidation, 0))
+        };
+    }
+    
+    // Fisher-Yates shuffle in place
+    static shuffle(rows, random) {
+        for (let i = rows.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [rows[i], rows[j]] = [rows[j], rows[i]];
+        }
+        return rows;
+    }
+    
+    // Examples at the given rows, in the shape trainStep / evaluateLoss expect
+    gatherBatch(rows) {
+        const { userIndices, itemIndices, ratings, weights } = this.data;
+        return {
+            users: rows.map(row => userIndices[row]),
+            items: rows.map(row => itemIndices[row]),
+            batchData: {
+                ratings: Float32Array.from(rows, row => ratings[row]),
+                weights: weights ? Float32Array.from(rows, row => weights[row]) : null
+            }
+        };
+    }
+    
+    async run() {
+        const { batchSize, epochs, learningRate } = this.config;
+        const options = Trainer.resolveOptions(this.config.training);
+        const { earlyStopping } = options;
+        const random = createRandom(options.seed);
+        
+        const { trainRows, validationRows } = Trainer.splitRows(
+            this.data.userIndices.length,
+            options.validationFraction,
+            random
+        );
+        const numBatches = Math.ceil(trainRows.length / batchSize);
+        if (earlyStopping.enabled && earlyStopping.metric !== 'loss' && validationRows.length === 0) {
+            throw new Error(`Early stopping on ${earlyStopping.metric} needs a validation split`);
+        }
+        const rankingSets = earlyStopping.enabled && earlyStopping.metric === 'val_recall'
+            ? this.buildRankingSets(trainRows, validationRows)
+            : null;
+        
+        // Per-model early stopping state; a stopped model sits out the remaining epochs
+        const states = new Map(this.models.map(({ key }) => [key, {
+            best: null,
+            bestEpoch: -1,
+            bestWeights: null,
+            epochsWithoutImprovement: 0,
+            stopped: false
+        }]));
+        
+        try {
+            for (let epoch = 0; epoch < epochs; epoch++) {
+                const active = this.models.filter(({ key }) => !states.get(key).stopped);
+                if (active.length === 0) break;
+                
+                const rate = Trainer.learningRateAt(options.lrSchedule, learningRate, epoch, epochs);
+                active.forEach(({ model }) => model.setLearningRate(rate));
+                
+                if (options.shuffle) Trainer.shuffle(trainRows, random);
+                
+                const epochLosses = Object.fromEntries(active.map(({ key }) => [key, 0]));
+                
+                for (let batch = 0; batch < numBatches; batch++) {
+                    await this.waitWhilePaused();
+                    if (this.cancelled) return { cancelled: true };
+                    
+                    const start = batch * batchSize;
+                    const end = Math.min(start + batchSize, trainRows.length);
+                    const { users, items, batchData } = this.gatherBatch(trainRows.subarray(start, end));
+                    
+                    const losses = {};
+                    for (const { key, model } of active) {
+                        losses[key] = await model.trainStep(users, items, batchData);
+                        epochLosses[key] += losses[key];
+                    }
+                    
+                    if (this.callbacks.onBatch) {
+                        this.callbacks.onBatch({ epoch, batch, numBatches, losses });
+                    }
+                    
+                    // Yield so pause/cancel messages and UI updates get through
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+                
+                Object.keys(epochLosses).forEach(key => {
+                    epochLosses[key] /= numBatches;
+                });
+                
+                const validationLosses = {};
+                const validationRecall = {};
+                for (const { key, model } of active) {
+                    if (validationRows.length > 0) {
+                        validationLosses[key] = this.validationLoss(model, validationRows);
+                    }
+                    if (rankingSets) {
+                        validationRecall[key] = await this.validationRecall(model, rankingSets);
+                    }
+                }
+                
+                // Early stopping bookkeeping per model
+                const stopped = [];
+                if (earlyStopping.enabled) {
+                    const values = { loss: epochLosses, val_loss: validationLosses, val_recall: validationRecall }[earlyStopping.metric];
+                    if (!values) {
+                        throw new Error(`Unknown early stopping metric "${earlyStopping.metric}"`);
+                    }
+                    const higherIsBetter = earlyStopping.metric === 'val_recall';
+                    
+                    for (const { key, model } of active) {
+                        const state = states.get(key);
+                        const value = values[key];
+                        const improved = state.best === null || (higherIsBetter
+                            ? value > state.best + earlyStopping.minDelta
+                            : value < state.best - earlyStopping.minDelta);
+                        
+                        if (improved) {
+                            state.best = value;
+                            state.bestEpoch = epoch;
+                            state.epochsWithoutImprovement = 0;
+                            if (earlyStopping.restoreBestWeights) {
+                                Trainer.disposeWeights(state.bestWeights);
+                                state.bestWeights = Trainer.snapshotWeights(model);
+                            }
+                        } else if (++state.epochsWithoutImprovement >= earlyStopping.patience) {
+                            state.stopped = true;
+                            stopped.push(key);
+                        }
+                    }
+                }
+                
+                if (this.callbacks.onEpoch) {
+                    this.callbacks.onEpoch({
+                        epoch,
+                        losses: epochLosses,
+                        validationLosses,
+                        validationRecall,
+                        learningRate: rate,
+                        stopped
+                    });
+                }
+            }
+            
+            // Roll each model back to its best epoch
+            const bestEpochs = {};
+            states.forEach((state, key) => {
+                if (!state.bestWeights) return;
+                this.models.find(entry => entry.key === key).model.setWeightMap(state.bestWeights);
+                bestEpochs[key] = state.bestEpoch;
+            });
+            
+            return { cancelled: false, bestEpochs };
+        } finally {
+            states.forEach(state => Trainer.disposeWeights(state.bestWeights));
+        }
+    }
+    
+    static resolveOptions(training = {}) {
+        const defaults = Trainer.DEFAULTS;
+        return {
+            ...defaults,
+            ...training,
+            earlyStopping: { ...defaults.earlyStopping, ...training.earlyStopping },
+            lrSchedule: { ...defaults.lrSchedule, ...training.lrSchedule }
+        };
+    }
+    
+    // Mean loss over the validation rows, in training-sized batches
+    validationLoss(model, validationRows) {
+        const { batchSize } = this.config;
+        let total = 0;
+        let numBatches = 0;
+        
+        for (let start = 0; start < validationRows.length; start += batchSize) {
+            const { users, items, batchData } = this.gatherBatch(validationRows.subarray(start, start + batchSize));
+            total += model.evaluateLoss(users, items, batchData);
+            numBatches++;
+        }
+        
+        return total / numBatches;
+    }
+    
+    // Item sets per user index for ranking validation: train items are excluded,
+    // validation items are the relevant ones
+    buildRankingSets(trainRows, validationRows) {
+        const { userIndices, itemIndices } = this.data;
+        const group = rows => {
+            const byUser = new Map();
+            rows.forEach(row => {
+                if (!byUser.has(userIndices[row])) byUser.set(userIndices[row], new Set());
+                byUser.get(userIndices[row]).add(itemIndices[row]);
+            });
+            return byUser;
+        };
+        return { trainItemsByUser: group(trainRows), validationItemsByUser: group(validationRows) };
+    }
+    
+    async validationRecall(model, { trainItemsByUser, validationItemsByUser }) {
+        const evaluator = new RankingEvaluator(this.data.numItems, this.data.itemCounts, this.config.evaluation.k);
+        const metrics = await evaluator.evaluate(model, trainItemsByUser, validationItemsByUser);
+        return metrics.recall;
+    }
+    
+    // Copies of a model's weights that survive further training
+    static snapshotWeights(model) {
+        return tf.tidy(() => {
+            const weights = model.getWeightMap();
+            return Object.fromEntries(Object.entries(weights).map(([name, tensor]) => [name, tensor.clone()]));
+        });
+    }
+    
+    static disposeWeights(weights) {
+        if (weights) Object.values(weights).forEach(tensor => tensor.dispose());
+    }
+    
+    pause() {
+        this.paused = true;
+    }
+    
+    resume() {
+        this.paused = false;
+        if (this.resumeWaiter) {
+            this.resumeWaiter();
+            this.resumeWaiter = null;
+        }
+    }
+    
+    cancel() {
+        this.cancelled = true;
+        this.resume();
+    }
+    
+    waitWhilePaused() {
+        if (!this.paused) return Promise.resolve();
+        return new Promise(resolve => {
+            this.resumeWaiter = resolve;
+        });
+    }
+}
@@ -0,0 +1,69 @@
+// Trains both towers and the matrix factorization baseline off the main thread.
+//
+// Messages in:  { type: 'start', data, config, reverseUserMap, reverseItemMap } | 'pause' | 'resume' | 'cancel'
+// Messages out: { type: 'batch' | 'epoch', ... } progress,
+//               { type: 'done', bundles, bestEpochs } with the trained weights (buffers transferred),
+//               { type: 'cancelled' } or { type: 'error', message }
+importScripts(
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.15.0/dist/tf.min.js',
+    'losses.js',
+    'two-tower.js',
+    'matrix-factorization.js',
+    'evaluation.js',
+    'model-io.js',
+    'trainer.js'
+);
+
+let trainer = null;
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    
+    switch (message.type) {
+        case 'start':
+            await train(message);
+            break;
+        case 'pause':
+            if (trainer) trainer.pause();
+            break;
+        case 'resume':
+            if (trainer) trainer.resume();
+            break;
+        case 'cancel':
+            if (trainer) trainer.cancel();
+            break;
+    }
+};
+
+async function train({ data, config, reverseUserMap, reverseItemMap }) {
+    let models = [];
+    
+    try {
+        models = Trainer.createModels(data, config);
+        trainer = new Trainer(models, data, config, {
+            onBatch: (progress) => self.postMessage({ type: 'batch', ...progress }),
+            onEpoch: (progress) => self.postMessage({ type: 'epoch', ...progress })
+        });
+        
+        const result = await trainer.run();
+        if (result.cancelled) {
+            self.postMessage({ type: 'cancelled' });
+            return;
+        }
+        
+        // Serialize weights and hand the buffers over without copying
+        const context = { reverseUserMap, reverseItemMap, config };
+        const bundles = [];
+        for (const { key, model } of models) {
+            const bundle = await ModelIO.serialize(model, context);
+            bundles.push({ key, ...bundle });
+        }
+        
+        self.postMessage({ type: 'done', bundles, bestEpochs: result.bestEpochs }, bundles.map(bundle => bundle.weightData));
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    } finally {
+        models.forEach(({ model }) => model.dispose());
+        trainer = null;
+    }
+}
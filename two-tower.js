@@ -1,25 +1,61 @@
+// tf.variable names must be unique, so every model instance gets its own suffix
+let modelInstanceCount = 0;
+
+// Optimizer by name: 'adam' | 'sgd' | 'adagrad' | 'rmsprop'
+function createOptimizer(name = 'adam', learningRate = 0.001) {
+    switch (name) {
+        case 'sgd':
+            return tf.train.sgd(learningRate);
+        case 'adagrad':
+            return tf.train.adagrad(learningRate);
+        case 'rmsprop':
+            return tf.train.rmsprop(learningRate);
+        case 'adam':
+            return tf.train.adam(learningRate);
+        default:
+            throw new Error(`Unknown optimizer "${name}"`);
+    }
+}
+
+// Change an optimizer's learning rate in place (used by learning-rate schedules).
+// SGD caches its rate as a tensor and exposes setLearningRate(); Adam, Adagrad
+// and RMSProp read the learningRate field on every update.
+function setOptimizerLearningRate(optimizer, learningRate) {
+    if (typeof optimizer.setLearningRate === 'function') {
+        optimizer.setLearningRate(learningRate);
+    } else {
+        optimizer.learningRate = learningRate;
+    }
+}
+
 class BasicTwoTowerModel {
-    constructor(numUsers, numItems, embeddingDim) {
+    // options.loss: RetrievalLoss or RatingRegressionHead used by trainStep
+    // (in-batch softmax by default)
+    // options.optimizer / options.learningRate: see createOptimizer (Adam, 0.001 by default)
+    constructor(numUsers, numItems, embeddingDim, options = {}) {
         this.numUsers = numUsers;
         this.numItems = numItems;
         this.embeddingDim = embeddingDim;
+        this.instanceId = modelInstanceCount++;
         
         // Initialize embedding tables with small random values
         // Basic architecture: simple embedding lookup for both towers
         this.userEmbeddings = tf.variable(
             tf.randomNormal([numUsers, embeddingDim], 0, 0.05), 
             true, 
-            'basic_user_embeddings'
+            `basic_user_embeddings_${this.instanceId}`
         );
         
         this.itemEmbeddings = tf.variable(
             tf.randomNormal([numItems, embeddingDim], 0, 0.05), 
             true, 
-            'basic_item_embeddings'
+            `basic_item_embeddings_${this.instanceId}`
         );
         
-        // Adam optimizer for stable training
-        this.optimizer = tf.train.adam(0.001);
+        // Adam optimizer for stable training unless configured otherwise
+        this.optimizer = createOptimizer(options.optimizer, options.learningRate);
+        
+        this.loss = options.loss || new RetrievalLoss();
     }
     
     // User tower: simple embedding lookup
@@ -37,29 +73,11 @@ class BasicTwoTowerModel {
         return tf.sum(tf.mul(userEmbeddings, itemEmbeddings), -1);
     }
     
-    async trainStep(userIndices, itemIndices) {
+    // ratings / weights: optional per-example star ratings and loss weights
+    async trainStep(userIndices, itemIndices, { ratings = null, weights = null } = {}) {
         return await tf.tidy(() => {
-            const userTensor = tf.tensor1d(userIndices, 'int32');
-            const itemTensor = tf.tensor1d(itemIndices, 'int32');
-            
-            // In-batch sampled softmax loss
-            const loss = () => {
-                const userEmbs = this.userForward(userTensor);
-                const itemEmbs = this.itemForward(itemTensor);
-                
-                // Compute similarity matrix: batch_size x batch_size
-                const logits = tf.matMul(userEmbs, itemEmbs, false, true);
-                
-                // Labels: diagonal elements are positives
-                const labels = tf.oneHot(
-                    tf.range(0, userIndices.length, 1, 'int32'), 
-                    userIndices.length
-                );
-                
-                // Softmax cross entropy loss
-                const loss = tf.losses.softmaxCrossEntropy(labels, logits);
-                return loss;
-            };
+            const batch = this.batchTensors(userIndices, itemIndices, ratings, weights);
+            const loss = () => this.batchLoss(batch);
             
             // Compute gradients and update embeddings
             const { value, grads } = this.optimizer.computeGradients(loss);
@@ -70,6 +88,62 @@ class BasicTwoTowerModel {
         });
     }
     
+    // Loss on a batch without updating parameters, e.g. for validation
+    evaluateLoss(userIndices, itemIndices, { ratings = null, weights = null } = {}) {
+        return tf.tidy(() => {
+            return this.batchLoss(this.batchTensors(userIndices, itemIndices, ratings, weights)).dataSync()[0];
+        });
+    }
+    
+    // Index, rating and weight tensors for one batch, plus catalog-sampled
+    // negatives (null for in-batch negatives)
+    batchTensors(userIndices, itemIndices, ratings, weights) {
+        return {
+            userTensor: tf.tensor1d(userIndices, 'int32'),
+            itemTensor: tf.tensor1d(itemIndices, 'int32'),
+            ratingTensor: ratings ? tf.tensor1d(ratings) : null,
+            weightTensor: weights ? tf.tensor1d(weights) : null,
+            negativeTensor: this.loss.sampleNegatives(this.numItems)
+        };
+    }
+    
+    batchLoss({ userTensor, itemTensor, ratingTensor, weightTensor, negativeTensor }) {
+        const userEmbs = this.userForward(userTensor);
+        const itemEmbs = this.itemForward(itemTensor);
+        const negativeEmbs = negativeTensor ? this.itemForward(negativeTensor) : null;
+        
+        return this.loss.compute({
+            userEmbs,
+            itemEmbs,
+            itemIndices: itemTensor,
+            negativeEmbs,
+            negativeIndices: negativeTensor,
+            ratings: ratingTensor,
+            weights: weightTensor
+        });
+    }
+    
+    setLearningRate(learningRate) {
+        setOptimizerLearningRate(this.optimizer, learningRate);
+    }
+    
+    // Whether predictRatings is available, i.e. the model was trained with a RatingRegressionHead
+    canPredictRatings() {
+        return Boolean(this.loss.predict);
+    }
+    
+    // Predicted star ratings; only available with a RatingRegressionHead
+    predictRatings(userIndices, itemIndices) {
+        if (!this.canPredictRatings()) {
+            throw new Error('Model was not trained with a rating head');
+        }
+        return tf.tidy(() => {
+            const userEmbs = this.userForward(tf.tensor1d(userIndices, 'int32'));
+            const itemEmbs = this.itemForward(tf.tensor1d(itemIndices, 'int32'));
+            return this.loss.predict(userEmbs, itemEmbs).dataSync();
+        });
+    }
+    
     getUserEmbedding(userIndex) {
         return tf.tidy(() => {
             return this.userForward([userIndex]).squeeze();
@@ -87,35 +161,120 @@ class BasicTwoTowerModel {
     getItemEmbeddings() {
         return this.itemEmbeddings;
     }
+    
+    // Item tower output for every item index; the basic tower is the embedding table itself
+    getItemTowerOutputs() {
+        return this.itemEmbeddings;
+    }
+    
+    getConfig() {
+        return {
+            type: 'basic',
+            numUsers: this.numUsers,
+            numItems: this.numItems,
+            embeddingDim: this.embeddingDim
+        };
+    }
+    
+    // Named weight tensors, used for saving and restoring the model
+    getWeightMap() {
+        return {
+            user_embeddings: this.userEmbeddings,
+            item_embeddings: this.itemEmbeddings,
+            ...(this.loss.getWeightMap ? this.loss.getWeightMap() : {})
+        };
+    }
+    
+    setWeightMap(weights) {
+        this.userEmbeddings.assign(weights.user_embeddings);
+        this.itemEmbeddings.assign(weights.item_embeddings);
+        if (this.loss.setWeightMap) this.loss.setWeightMap(weights);
+    }
+    
+    dispose() {
+        this.userEmbeddings.dispose();
+        this.itemEmbeddings.dispose();
+        this.optimizer.dispose();
+        this.loss.dispose();
+    }
 }
 
 class DeepTwoTowerModel {
-    constructor(numUsers, numItems, embeddingDim, numGenres) {
+    // itemFeatures: dense item features per item index ([numItems][numItemFeatures]),
+    // e.g. genre flags, year and popularity from ItemFeatureBuilder
+    // options.titleTokens: hashed title bag-of-words per item index, { values, numBuckets }
+    // with values a row-major Float32Array of numItems * numBuckets (ItemFeatureBuilder)
+    // options.userFeatures: demographic features per user index ([numUsers][numUserFeatures])
+    // options.userHistory: { indices, mask } of each user's recent items ([numUsers][historyLength])
+    // options.useUserIdEmbedding: feed the user ID embedding to the user tower (default true)
+    // options.hiddenUnits: hidden layer sizes for both towers (default [embeddingDim * 2])
+    // options.loss: RetrievalLoss or RatingRegressionHead used by trainStep
+    // (in-batch softmax by default)
+    // options.optimizer / options.learningRate: see createOptimizer (Adam, 0.001 by default)
+    constructor(numUsers, numItems, embeddingDim, itemFeatures, options = {}) {
         this.numUsers = numUsers;
         this.numItems = numItems;
         this.embeddingDim = embeddingDim;
-        this.numGenres = numGenres;
+        this.numItemFeatures = itemFeatures.length > 0 ? itemFeatures[0].length : 0;
+        this.numTitleBuckets = options.titleTokens && options.titleTokens.values.length > 0
+            ? options.titleTokens.numBuckets
+            : 0;
+        this.numUserFeatures = options.userFeatures && options.userFeatures.length > 0
+            ? options.userFeatures[0].length
+            : 0;
+        this.historyLength = options.userHistory && options.userHistory.indices.length > 0
+            ? options.userHistory.indices[0].length
+            : 0;
+        this.useUserIdEmbedding = options.useUserIdEmbedding !== false;
+        this.hiddenUnits = options.hiddenUnits || [embeddingDim * 2];
+        this.instanceId = modelInstanceCount++;
+        
+        if (!this.useUserIdEmbedding && this.numUserFeatures === 0 && this.historyLength === 0) {
+            throw new Error('User tower needs the ID embedding or at least one user feature');
+        }
+        
+        // User side feature tables
+        this.userFeatures = this.numUserFeatures > 0
+            ? tf.tensor2d(options.userFeatures, [numUsers, this.numUserFeatures])
+            : null;
+        this.historyIndices = this.historyLength > 0
+            ? tf.tensor2d(options.userHistory.indices, [numUsers, this.historyLength], 'int32')
+            : null;
+        this.historyMask = this.historyLength > 0
+            ? tf.tensor2d(options.userHistory.mask, [numUsers, this.historyLength])
+            : null;
+        
+        // Item feature tables, used identically in training and inference
+        this.itemFeatures = this.numItemFeatures > 0
+            ? tf.tensor2d(itemFeatures, [numItems, this.numItemFeatures])
+            : null;
+        this.titleTokens = this.numTitleBuckets > 0
+            ? tf.tensor2d(options.titleTokens.values, [numItems, this.numTitleBuckets])
+            : null;
+        
+        // Cached item tower output for all items, rebuilt after training
+        this.itemOutputCache = null;
         
         // Initialize embedding tables
         this.userEmbeddings = tf.variable(
             tf.randomNormal([numUsers, embeddingDim], 0, 0.05), 
             true, 
-            'deep_user_embeddings'
+            `deep_user_embeddings_${this.instanceId}`
         );
         
         this.itemEmbeddings = tf.variable(
             tf.randomNormal([numItems, embeddingDim], 0, 0.05), 
             true, 
-            'deep_item_embeddings'
+            `deep_item_embeddings_${this.instanceId}`
         );
         
         // User tower MLP layers
-        this.userHiddenLayer = tf.layers.dense({
-            units: embeddingDim * 2,
+        this.userHiddenLayers = this.hiddenUnits.map(units => tf.layers.dense({
+            units,
             activation: 'relu',
             useBias: true,
             kernelInitializer: 'glorotNormal'
-        });
+        }));
         
         this.userOutputLayer = tf.layers.dense({
             units: embeddingDim,
@@ -124,13 +283,22 @@ class DeepTwoTowerModel {
             kernelInitializer: 'glorotNormal'
         });
         
-        // Item tower MLP layers (with genre features)
-        this.itemHiddenLayer = tf.layers.dense({
-            units: embeddingDim * 2,
+        // Title token embedding: a linear projection of the hashed bag-of-words,
+        // i.e. the mean of the title's token embeddings
+        this.titleEmbeddingLayer = this.titleTokens ? tf.layers.dense({
+            units: embeddingDim,
+            activation: 'linear',
+            useBias: false,
+            kernelInitializer: 'glorotNormal'
+        }) : null;
+        
+        // Item tower MLP layers (with item features)
+        this.itemHiddenLayers = this.hiddenUnits.map(units => tf.layers.dense({
+            units,
             activation: 'relu',
             useBias: true,
             kernelInitializer: 'glorotNormal'
-        });
+        }));
         
         this.itemOutputLayer = tf.layers.dense({
             units: embeddingDim,
@@ -139,32 +307,108 @@ class DeepTwoTowerModel {
             kernelInitializer: 'glorotNormal'
         });
         
-        // Adam optimizer
-        this.optimizer = tf.train.adam(0.001);
+        // Adam optimizer unless configured otherwise
+        this.optimizer = createOptimizer(options.optimizer, options.learningRate);
+        
+        this.loss = options.loss || new RetrievalLoss();
     }
     
-    // Deep user tower: embedding → hidden layer → output
-    userForward(userIndices) {
+    // Deep user tower: embedding + demographics + history → hidden layers → output.
+    // targetItems: each row's training item, left out of that row's history
+    userForward(userIndices, targetItems = null) {
         return tf.tidy(() => {
-            const userEmbs = tf.gather(this.userEmbeddings, userIndices);
-            const hidden = this.userHiddenLayer.apply(userEmbs);
+            const inputs = [];
+            
+            if (this.useUserIdEmbedding) {
+                inputs.push(tf.gather(this.userEmbeddings, userIndices));
+            }
+            
+            if (this.userFeatures) {
+                inputs.push(tf.gather(this.userFeatures, userIndices));
+            }
+            
+            if (this.historyIndices) {
+                inputs.push(this.poolHistory(userIndices, targetItems));
+            }
+            
+            const userEmbs = inputs.length > 1 ? tf.concat(inputs, 1) : inputs[0];
+            const hidden = this.userHiddenLayers.reduce((x, layer) => layer.apply(x), userEmbs);
             const output = this.userOutputLayer.apply(hidden);
             return output;
         });
     }
     
-    // Deep item tower: embedding + genre features → hidden layer → output
-    itemForward(itemIndices, genreFeatures) {
+    // Mean of the item ID embeddings of each user's recent interactions. The history
+    // holds the user's training items, so during training the item being predicted is
+    // masked out: otherwise its own embedding would reveal the label, and at evaluation
+    // time the held-out item is never in the history anyway.
+    poolHistory(userIndices, targetItems = null) {
         return tf.tidy(() => {
-            const itemEmbs = tf.gather(this.itemEmbeddings, itemIndices);
-            const genreTensor = tf.tensor2d(genreFeatures, [itemIndices.length, this.numGenres]);
+            const indices = tf.gather(this.historyIndices, userIndices);
+            let mask = tf.gather(this.historyMask, userIndices);
+            if (targetItems) {
+                mask = tf.mul(mask, tf.notEqual(indices, targetItems.expandDims(1)).toFloat());
+            }
+            const [batchSize, historyLength] = indices.shape;
             
-            // Concatenate item embeddings with genre features
-            const combined = tf.concat([itemEmbs, genreTensor], 1);
+            const itemEmbs = tf.gather(this.itemEmbeddings, indices.reshape([-1]))
+                .reshape([batchSize, historyLength, this.embeddingDim]);
+            const summed = tf.sum(tf.mul(itemEmbs, mask.expandDims(2)), 1);
+            const counts = tf.maximum(tf.sum(mask, 1, true), 1);
+            return tf.div(summed, counts);
+        });
+    }
+    
+    // Deep item tower: embedding + item features + title embedding → hidden layers → output
+    itemForward(itemIndices) {
+        return tf.tidy(() => this.itemTower(this.itemInputs(itemIndices)));
+    }
+    
+    // Item tower inputs by name: id (ID embedding), features (dense item features)
+    // and title (hashed title tokens); absent groups are left out
+    itemInputs(itemIndices) {
+        const inputs = { id: tf.gather(this.itemEmbeddings, itemIndices) };
+        if (this.itemFeatures) {
+            inputs.features = tf.gather(this.itemFeatures, itemIndices);
+        }
+        if (this.titleTokens) {
+            inputs.title = tf.gather(this.titleTokens, itemIndices);
+        }
+        return inputs;
+    }
+    
+    itemTower({ id, features = null, title = null }) {
+        const inputs = [id];
+        if (features) inputs.push(features);
+        if (title) inputs.push(this.titleEmbeddingLayer.apply(title));
+        
+        // Concatenate item embeddings with feature groups
+        const combined = tf.concat(inputs, 1);
+        
+        const hidden = this.itemHiddenLayers.reduce((x, layer) => layer.apply(x), combined);
+        return this.itemOutputLayer.apply(hidden);
+    }
+    
+    // Gradient × input attribution of one user-item score to the item tower inputs:
+    // { score, id, features, title }, each input's value per column (null when absent).
+    // The attributions sum to the score less the part the layer biases account for.
+    explainItemScore(userIndex, itemIndex) {
+        return tf.tidy(() => {
+            const userEmb = this.userForward(tf.tensor1d([userIndex], 'int32'));
+            const inputs = this.itemInputs(tf.tensor1d([itemIndex], 'int32'));
+            const names = Object.keys(inputs);
             
-            const hidden = this.itemHiddenLayer.apply(combined);
-            const output = this.itemOutputLayer.apply(hidden);
-            return output;
+            const scoreOf = (...values) => {
+                const itemEmb = this.itemTower(Object.fromEntries(names.map((name, i) => [name, values[i]])));
+                return tf.sum(this.score(userEmb, itemEmb));
+            };
+            const { value, grads } = tf.valueAndGrads(scoreOf)(names.map(name => inputs[name]));
+            
+            const explanation = { score: value.dataSync()[0], id: null, features: null, title: null };
+            names.forEach((name, i) => {
+                explanation[name] = tf.mul(grads[i], inputs[name]).dataSync();
+            });
+            return explanation;
         });
     }
     
@@ -173,29 +417,14 @@ class DeepTwoTowerModel {
         return tf.sum(tf.mul(userEmbeddings, itemEmbeddings), -1);
     }
     
-    async trainStep(userIndices, itemIndices, genreFeatures) {
+    // ratings / weights: optional per-example star ratings and loss weights
+    async trainStep(userIndices, itemIndices, { ratings = null, weights = null } = {}) {
+        // Parameters change, so any cached item tower output is stale
+        this.clearItemOutputCache();
+        
         return await tf.tidy(() => {
-            const userTensor = tf.tensor1d(userIndices, 'int32');
-            const itemTensor = tf.tensor1d(itemIndices, 'int32');
-            
-            // In-batch sampled softmax loss
-            const loss = () => {
-                const userEmbs = this.userForward(userTensor);
-                const itemEmbs = this.itemForward(itemTensor, genreFeatures);
-                
-                // Compute similarity matrix: batch_size x batch_size
-                const logits = tf.matMul(userEmbs, itemEmbs, false, true);
-                
-                // Labels: diagonal elements are positives
-                const labels = tf.oneHot(
-                    tf.range(0, userIndices.length, 1, 'int32'), 
-                    userIndices.length
-                );
-                
-                // Softmax cross entropy loss
-                const loss = tf.losses.softmaxCrossEntropy(labels, logits);
-                return loss;
-            };
+            const batch = this.batchTensors(userIndices, itemIndices, ratings, weights);
+            const loss = () => this.batchLoss(batch);
             
             // Compute gradients and update parameters
             const { value, grads } = this.optimizer.computeGradients(loss);
@@ -206,6 +435,62 @@ class DeepTwoTowerModel {
         });
     }
     
+    // Loss on a batch without updating parameters, e.g. for validation
+    evaluateLoss(userIndices, itemIndices, { ratings = null, weights = null } = {}) {
+        return tf.tidy(() => {
+            return this.batchLoss(this.batchTensors(userIndices, itemIndices, ratings, weights)).dataSync()[0];
+        });
+    }
+    
+    // Index, rating and weight tensors for one batch, plus catalog-sampled
+    // negatives (null for in-batch negatives)
+    batchTensors(userIndices, itemIndices, ratings, weights) {
+        return {
+            userTensor: tf.tensor1d(userIndices, 'int32'),
+            itemTensor: tf.tensor1d(itemIndices, 'int32'),
+            ratingTensor: ratings ? tf.tensor1d(ratings) : null,
+            weightTensor: weights ? tf.tensor1d(weights) : null,
+            negativeTensor: this.loss.sampleNegatives(this.numItems)
+        };
+    }
+    
+    batchLoss({ userTensor, itemTensor, ratingTensor, weightTensor, negativeTensor }) {
+        const userEmbs = this.userForward(userTensor, itemTensor);
+        const itemEmbs = this.itemForward(itemTensor);
+        const negativeEmbs = negativeTensor ? this.itemForward(negativeTensor) : null;
+        
+        return this.loss.compute({
+            userEmbs,
+            itemEmbs,
+            itemIndices: itemTensor,
+            negativeEmbs,
+            negativeIndices: negativeTensor,
+            ratings: ratingTensor,
+            weights: weightTensor
+        });
+    }
+    
+    setLearningRate(learningRate) {
+        setOptimizerLearningRate(this.optimizer, learningRate);
+    }
+    
+    // Whether predictRatings is available, i.e. the model was trained with a RatingRegressionHead
+    canPredictRatings() {
+        return Boolean(this.loss.predict);
+    }
+    
+    // Predicted star ratings; only available with a RatingRegressionHead
+    predictRatings(userIndices, itemIndices) {
+        if (!this.canPredictRatings()) {
+            throw new Error('Model was not trained with a rating head');
+        }
+        return tf.tidy(() => {
+            const userEmbs = this.userForward(tf.tensor1d(userIndices, 'int32'));
+            const itemEmbs = this.itemForward(tf.tensor1d(itemIndices, 'int32'));
+            return this.loss.predict(userEmbs, itemEmbs).dataSync();
+        });
+    }
+    
     getUserEmbedding(userIndex) {
         return tf.tidy(() => {
             return this.userForward([userIndex]).squeeze();
@@ -213,37 +498,131 @@ class DeepTwoTowerModel {
     }
     
     async getScoresForAllItems(userEmbedding) {
+        const itemOutputs = this.getItemTowerOutputs();
         return await tf.tidy(() => {
-            // For inference, we need to compute item embeddings for all items
-            // Since we don't have genre features for all items at once, we'll batch this
-            const batchSize = 100;
-            const numBatches = Math.ceil(this.numItems / batchSize);
-            const allScores = [];
-            
-            for (let i = 0; i < numBatches; i++) {
-                const start = i * batchSize;
-                const end = Math.min(start + batchSize, this.numItems);
-                const batchIndices = Array.from({length: end - start}, (_, j) => start + j);
-                
-                // Create dummy genre features for this batch (all zeros for now)
-                const batchGenreFeatures = batchIndices.map(() => Array(this.numGenres).fill(0));
-                
-                const batchItemEmbs = this.itemForward(batchIndices, batchGenreFeatures);
-                const batchScores = tf.dot(batchItemEmbs, userEmbedding);
-                
-                allScores.push(...batchScores.dataSync());
-                
-                // Clean up
-                batchItemEmbs.dispose();
-                batchScores.dispose();
-            }
-            
-            return allScores;
+            // Single matmul against the cached item tower output
+            const scores = tf.dot(itemOutputs, userEmbedding);
+            return scores.dataSync();
+        });
+    }
+    
+    // Run the item tower over the whole catalog once and keep the result
+    precomputeItemOutputs() {
+        this.clearItemOutputCache();
+        this.itemOutputCache = tf.tidy(() => {
+            return this.itemForward(tf.range(0, this.numItems, 1, 'int32'));
         });
+        return this.itemOutputCache;
+    }
+    
+    clearItemOutputCache() {
+        if (this.itemOutputCache) {
+            this.itemOutputCache.dispose();
+            this.itemOutputCache = null;
+        }
+    }
+    
+    // Item tower output for every item index: [numItems, embeddingDim]
+    getItemTowerOutputs() {
+        return this.itemOutputCache || this.precomputeItemOutputs();
     }
     
     getItemEmbeddings() {
         // Return base item embeddings (without genre processing)
         return this.itemEmbeddings;
     }
+    
+    getConfig() {
+        return {
+            type: 'deep',
+            numUsers: this.numUsers,
+            numItems: this.numItems,
+            embeddingDim: this.embeddingDim,
+            numItemFeatures: this.numItemFeatures,
+            numTitleBuckets: this.numTitleBuckets,
+            numUserFeatures: this.numUserFeatures,
+            historyLength: this.historyLength,
+            useUserIdEmbedding: this.useUserIdEmbedding,
+            hiddenUnits: this.hiddenUnits
+        };
+    }
+    
+    getDenseLayers() {
+        const layers = {};
+        // First hidden layer keeps the unsuffixed name used by single-layer models
+        const layerName = (tower, index) => index === 0 ? `${tower}_hidden` : `${tower}_hidden_${index}`;
+        this.userHiddenLayers.forEach((layer, index) => {
+            layers[layerName('user', index)] = layer;
+        });
+        layers.user_output = this.userOutputLayer;
+        this.itemHiddenLayers.forEach((layer, index) => {
+            layers[layerName('item', index)] = layer;
+        });
+        layers.item_output = this.itemOutputLayer;
+        if (this.titleEmbeddingLayer) {
+            layers.title_embedding = this.titleEmbeddingLayer;
+        }
+        return layers;
+    }
+    
+    // Dense layers create their weights lazily on first apply()
+    buildLayers() {
+        if (this.userOutputLayer.built && this.itemOutputLayer.built) return;
+        tf.tidy(() => {
+            this.userForward([0]);
+            this.itemForward([0]);
+        });
+    }
+    
+    // Named weight tensors, used for saving and restoring the model
+    getWeightMap() {
+        this.buildLayers();
+        
+        const weights = {
+            user_embeddings: this.userEmbeddings,
+            item_embeddings: this.itemEmbeddings,
+            ...(this.loss.getWeightMap ? this.loss.getWeightMap() : {})
+        };
+        
+        Object.entries(this.getDenseLayers()).forEach(([name, layer]) => {
+            const [kernel, bias] = layer.getWeights();
+            weights[`${name}/kernel`] = kernel;
+            if (bias) weights[`${name}/bias`] = bias;
+        });
+        
+        return weights;
+    }
+    
+    setWeightMap(weights) {
+        this.buildLayers();
+        
+        this.userEmbeddings.assign(weights.user_embeddings);
+        this.itemEmbeddings.assign(weights.item_embeddings);
+        
+        Object.entries(this.getDenseLayers()).forEach(([name, layer]) => {
+            const bias = weights[`${name}/bias`];
+            layer.setWeights(bias ? [weights[`${name}/kernel`], bias] : [weights[`${name}/kernel`]]);
+        });
+        
+        if (this.loss.setWeightMap) this.loss.setWeightMap(weights);
+        
+        this.clearItemOutputCache();
+    }
+    
+    dispose() {
+        this.clearItemOutputCache();
+        this.userEmbeddings.dispose();
+        this.itemEmbeddings.dispose();
+        if (this.itemFeatures) this.itemFeatures.dispose();
+        if (this.titleTokens) this.titleTokens.dispose();
+        if (this.userFeatures) this.userFeatures.dispose();
+        if (this.historyIndices) this.historyIndices.dispose();
+        if (this.historyMask) this.historyMask.dispose();
+        // Layers that never ran have no weights to release (and refuse dispose())
+        Object.values(this.getDenseLayers())
+            .filter(layer => layer.built)
+            .forEach(layer => layer.dispose());
+        this.optimizer.dispose();
+        this.loss.dispose();
+    }
 }